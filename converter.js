@@ -1,42 +1,246 @@
+import { listCategories, listUnits, getCategory, hasUnit, quantitySymbol, unitName } from './lib/units.mjs';
+import { formatNumber, formatTemperature, formatQuantity } from './lib/number-format.mjs';
+import { createConverterState } from './lib/converter-state.mjs';
+import { t, getLocale, onLanguageChange } from './lib/i18n.mjs';
+
+const categoryField = document.getElementById('category');
 const inputField = document.getElementById('input-temp');
 const fromUnitField = document.getElementById('input-unit');
 const toUnitField = document.getElementById('output-unit');
 const outputField = document.getElementById('output-temp');
+const errorField = document.getElementById('input-temp-error');
+const precisionField = document.getElementById('precision');
+const modeField = document.getElementById('conversion-mode');
+const swapButton = document.getElementById('swap-units');
+const allScalesToggle = document.getElementById('show-all-scales');
+const allScalesField = document.getElementById('all-scales');
 const form = document.getElementById('converter');
 
-function convertTemp(value, fromUnit, toUnit) {
-  if (fromUnit === 'c') {
-    if (toUnit === 'f') {
-      return value * 9 / 5 + 32;
-    } else if (toUnit === 'k') {
-      return value + 273.15;
-    }
-    return value;
+// Generar las opciones de los <select> a partir de las tablas de unidades
+function populateSelect(select, options, selected) {
+  select.innerHTML = '';
+  options.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    option.selected = id === selected;
+    select.appendChild(option);
+  });
+}
+
+function populateCategorySelect(selected) {
+  populateSelect(categoryField, listCategories().map(id => ({ id, label: t(`categories.${id}`) })), selected);
+}
+
+function populateUnitSelect(select, category, selected) {
+  populateSelect(select, listUnits(category).map(({ id }) => ({ id, label: unitName(id, t) })), selected);
+}
+
+function errorMessage(error) {
+  const params = { ...error.details };
+  if (error.code === 'BELOW_ABSOLUTE_ZERO') {
+    params.minimum = formatTemperature(params.minimum, params.unit, { locale: getLocale() });
   }
-  if (fromUnit === 'f') {
-    if (toUnit === 'c') {
-      return (value - 32) * 5 / 9;
-    } else if (toUnit === 'k') {
-      return (value + 459.67) * 5 / 9;
-    }
-    return value;
+  if (error.code === 'INVALID_EXPRESSION') {
+    params.reason = t(`expression.errors.${params.reason}`);
   }
-  if (fromUnit === 'k') {
-    if (toUnit === 'c') {
-      return value - 273.15;
-    } else if (toUnit === 'f') {
-      return value * 9 / 5 - 459.67;
-    }
-    return value;
+  return t(`errors.${error.code}`, params);
+}
+
+function showError(error, field = inputField) {
+  field.setAttribute('aria-invalid', 'true');
+  errorField.textContent = errorMessage(error);
+  errorField.hidden = false;
+  outputField.value = '';
+}
+
+function clearError() {
+  form.querySelectorAll('[aria-invalid]').forEach(field => field.removeAttribute('aria-invalid'));
+  errorField.textContent = '';
+  errorField.hidden = true;
+}
+
+// Vista de todas las escalas: un campo editable por unidad de la categoría
+const scaleFields = new Map();
+
+function buildScaleFields(category) {
+  allScalesField.innerHTML = '';
+  scaleFields.clear();
+  listUnits(category).forEach(({ id }) => {
+    const label = document.createElement('label');
+    const name = document.createElement('span');
+    const field = document.createElement('input');
+    field.type = 'text';
+    field.name = `scale-${id}`;
+    field.dataset.unit = id;
+    field.autocomplete = 'off';
+    field.spellcheck = false;
+    field.setAttribute('aria-describedby', errorField.id);
+    label.append(name, field);
+    allScalesField.appendChild(label);
+    scaleFields.set(id, { field, name });
+  });
+}
+
+const initialCategory = categoryField.dataset.default;
+populateCategorySelect(initialCategory);
+populateUnitSelect(fromUnitField, initialCategory, fromUnitField.dataset.default);
+populateUnitSelect(toUnitField, initialCategory, toUnitField.dataset.default);
+buildScaleFields(initialCategory);
+
+const state = createConverterState({
+  category: initialCategory,
+  fromUnit: fromUnitField.value,
+  toUnit: toUnitField.value,
+  mode: modeField.value
+});
+
+// Otra categoría: nuevas opciones y campos, con sus unidades por defecto
+function changeCategory(category) {
+  const { fromUnit, toUnit } = state.setCategory(category);
+  populateUnitSelect(fromUnitField, category, fromUnit);
+  populateUnitSelect(toUnitField, category, toUnit);
+  buildScaleFields(category);
+}
+
+// Unidad de un <select>; si la página puso un valor que no es de la
+// categoría (p. ej. una preferencia antigua) se conserva la del estado
+function selectedUnit(select, fallback) {
+  return hasUnit(state.getState().category, select.value) ? select.value : fallback;
+}
+
+// Anuncia cada resultado con un evento 'conversion' en el formulario
+// (detail = null si la entrada no es válida). `userInput` indica si lo
+// provocó el usuario y no un cambio de idioma o de preferencias.
+function announce(detail) {
+  form.dispatchEvent(new CustomEvent('conversion', { detail }));
+}
+
+// Pinta el formulario desde el estado. `editing` es el campo de texto que
+// el usuario está escribiendo: no se reescribe para no mover el cursor ni
+// redondear lo que escribió.
+function render(editing = null) {
+  const locale = getLocale();
+  const precision = precisionField.value;
+  const { source, expression, category, fromUnit, toUnit, mode, error } = state.getState();
+  const format = value => formatNumber(value, { locale, precision });
+
+  categoryField.value = category;
+  fromUnitField.value = fromUnit;
+  toUnitField.value = toUnit;
+  modeField.value = mode;
+  // El modo intervalo solo existe en la temperatura
+  const intervals = getCategory(category).intervals;
+  [modeField, ...modeField.labels].forEach(element => { element.hidden = !intervals; });
+  // Con un error en otro campo el principal conserva su texto
+  if (editing !== inputField && !(error && editing)) {
+    inputField.value = state.inputText(format);
+  }
+
+  allScalesField.hidden = !allScalesToggle.checked;
+  scaleFields.forEach(({ field, name }, unit) => {
+    name.textContent = `${unitName(unit, t)} (${quantitySymbol(unit, mode)})`;
+    if (field === editing) return;
+    const value = state.valueIn(unit);
+    field.value = value === null ? '' : format(value);
+  });
+
+  if (error) {
+    showError(error, editing ?? inputField);
+    return null;
   }
-  throw new Error('Invalid unit');
+
+  clearError();
+  const resultValue = state.valueIn(toUnit);
+  outputField.value = formatQuantity(resultValue, toUnit, { locale, precision, mode });
+  return {
+    value: state.valueIn(fromUnit),
+    category,
+    fromUnit,
+    toUnit,
+    mode,
+    // La expresión solo describe el valor si sigue en su escala de origen
+    expression: source.unit === fromUnit ? expression : null,
+    result: outputField.value,
+    resultValue
+  };
 }
 
-form.addEventListener('input', () => {
-  const inputTemp = parseFloat(inputField.value);
-  const fromUnit = fromUnitField.value;
-  const toUnit = toUnitField.value;
+function update(event, editing = null) {
+  const detail = render(editing);
+  announce(detail && { ...detail, userInput: Boolean(event?.isTrusted) });
+}
+
+// Lee el formulario completo (al iniciar o cuando la página cambia los
+// valores por código, p. ej. al restaurar las preferencias)
+function readForm() {
+  if (categoryField.value && categoryField.value !== state.getState().category) {
+    changeCategory(categoryField.value);
+  }
+  const { fromUnit, toUnit } = state.getState();
+  state.setToUnit(selectedUnit(toUnitField, toUnit));
+  state.setMode(modeField.value);
+  state.input(inputField.value, { unit: selectedUnit(fromUnitField, fromUnit), locale: getLocale() });
+}
+
+// Los cambios de escala que no hace el propio <select> se anuncian con
+// 'change' para que la página los guarde; solo si los pidió el usuario
+function announceUnits() {
+  fromUnitField.dispatchEvent(new Event('change'));
+  toUnitField.dispatchEvent(new Event('change'));
+}
+
+form.addEventListener('input', (event) => {
+  const { target } = event;
+  const locale = getLocale();
+  let editing = null;
+
+  if (target === categoryField) {
+    // El texto escrito se vuelve a leer en la unidad por defecto de la categoría
+    if (categoryField.value && categoryField.value !== state.getState().category) {
+      changeCategory(categoryField.value);
+      state.input(inputField.value, { unit: fromUnitField.value, locale });
+    }
+  } else if (target === inputField) {
+    state.input(inputField.value, { unit: fromUnitField.value, locale });
+    editing = inputField;
+  } else if (target.dataset?.unit) {
+    state.input(target.value, { unit: target.dataset.unit, locale });
+    editing = target;
+  } else if (target === fromUnitField) {
+    state.setFromUnit(fromUnitField.value);
+  } else if (target === toUnitField) {
+    state.setToUnit(toUnitField.value);
+  } else if (target === modeField) {
+    state.setMode(modeField.value);
+  } else if (target === form) {
+    readForm();
+  }
+  // Decimales y la vista de todas las escalas solo cambian la presentación
+  update(event, editing);
+  // Las unidades por defecto de la categoría elegida por el usuario también se guardan
+  if (target === categoryField && event.isTrusted) {
+    announceUnits();
+  }
+});
+
+swapButton.addEventListener('click', (event) => {
+  state.swap();
+  update(event);
+  if (event.isTrusted) {
+    announceUnits();
+  }
+});
+
+// Al cambiar de idioma se traducen las opciones y se reformatean los campos
+// y los mensajes de error
+onLanguageChange(() => {
+  const { category, fromUnit, toUnit } = state.getState();
+  populateCategorySelect(category);
+  populateUnitSelect(fromUnitField, category, fromUnit);
+  populateUnitSelect(toUnitField, category, toUnit);
+  update();
+});
 
-  const outputTemp = convertTemp(inputTemp, fromUnit, toUnit);
-  outputField.value = (Math.round(outputTemp * 100) / 100) + ' ' + toUnit.toUpperCase();
-});
\ No newline at end of file
+readForm();
+update();
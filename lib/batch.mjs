@@ -0,0 +1,97 @@
+// batch.mjs - Conversión por lotes
+// Convierte una columna de valores pegados o de un CSV y genera un CSV con
+// el resultado. Todo ocurre en la página: los datos no salen del navegador.
+import { MODES, convertTemp, getMode, getScale } from './temperature.mjs';
+import { validateTemperature } from './validation.mjs';
+import { parseLocaleNumber, normalizePrecision } from './number-format.mjs';
+import { ConversionError } from './errors.mjs';
+import { CsvError, detectDelimiter, formatCsv, parseCsv } from './csv.mjs';
+
+export const MAX_BATCH_ROWS = 10000;
+
+export class BatchError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BatchError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Separador de la entrada. Un texto pegado lleva un valor por línea (o
+ * tabuladores si viene de una hoja de cálculo); en un archivo se detecta.
+ * null = una sola columna, para no partir "20,5" en dos celdas.
+ */
+export function batchDelimiter(text, { fromFile = false } = {}) {
+  if (fromFile) return detectDelimiter(text);
+  return String(text).includes('\t') ? '\t' : null;
+}
+
+/**
+ * @returns {{ header: string[]|null, rows: string[][], columns: number, delimiter: string|null }}
+ */
+export function parseBatchInput(text, { delimiter = null, hasHeader = false } = {}) {
+  let lines;
+  try {
+    lines = delimiter
+      ? parseCsv(String(text), { delimiter })
+      : String(text).split(/\r?\n/).filter(line => line.trim() !== '').map(line => [line]);
+  } catch (error) {
+    if (!(error instanceof CsvError)) throw error;
+    throw new BatchError(error.message, 'INVALID_CSV');
+  }
+  const header = hasHeader && lines.length > 0 ? lines[0].map(cell => cell.trim()) : null;
+  const rows = hasHeader ? lines.slice(1) : lines;
+
+  if (rows.length > MAX_BATCH_ROWS) {
+    throw new BatchError(`Demasiadas filas: ${rows.length} (máximo ${MAX_BATCH_ROWS})`, 'TOO_MANY_ROWS', { rows: rows.length, limit: MAX_BATCH_ROWS });
+  }
+
+  const columns = Math.max(header?.length ?? 0, ...rows.map(row => row.length), 0);
+  return { header, rows, columns, delimiter };
+}
+
+/**
+ * Convierte la columna `column` de cada fila. Una fila inválida no detiene
+ * el lote: se marca con el código y los detalles de su ConversionError.
+ * @returns {{ rows: { number: number, cells: string[], input: string, value: number|null,
+ *   result: number|null, error: { code: string, details: Object }|null }[],
+ *   converted: number, failed: number }}
+ */
+export function convertBatch({ rows, column = 0, fromUnit, toUnit, mode = MODES.ABSOLUTE, locale, firstLine = 1 }) {
+  getScale(fromUnit);
+  getScale(toUnit);
+  getMode(mode);
+
+  const results = rows.map((cells, i) => {
+    const input = (cells[column] ?? '').trim();
+    const row = { number: firstLine + i, cells, input, value: null, result: null, error: null };
+    try {
+      row.value = validateTemperature(parseLocaleNumber(input, locale), fromUnit, mode);
+      row.result = convertTemp(row.value, fromUnit, toUnit, mode);
+    } catch (error) {
+      if (!(error instanceof ConversionError)) throw error;
+      row.error = { code: error.code, details: error.details };
+    }
+    return row;
+  });
+
+  const failed = results.filter(row => row.error).length;
+  return { rows: results, converted: results.length - failed, failed };
+}
+
+/**
+ * CSV de salida: columnas originales + resultado + código de error.
+ * Los números van con punto decimal para que otras herramientas los lean.
+ */
+export function batchToCsv({ header, columns }, { rows }, { toUnit, precision, delimiter = ',' } = {}) {
+  const digits = normalizePrecision(precision);
+  const names = Array.from({ length: columns }, (_, i) => header?.[i] || `column${i + 1}`);
+  const lines = rows.map(row => [
+    ...Array.from({ length: columns }, (_, i) => row.cells[i] ?? ''),
+    row.result === null ? '' : String(Number(row.result.toFixed(digits)) || 0),
+    row.error?.code ?? ''
+  ]);
+  return formatCsv([[...names, `result_${toUnit}`, 'error'], ...lines], { delimiter });
+}
@@ -0,0 +1,52 @@
+// conflict.mjs - Resolución de conflictos de preferencias entre dispositivos
+//
+// Cada preferencia lleva una versión { counter, deviceId } basada en un reloj
+// de Lamport: al escribir, counter = máximo conocido + 1. Gana la versión con
+// mayor counter; si empatan, el deviceId mayor y después el timestamp. Así
+// todos los dispositivos y el servidor eligen el mismo ganador sin depender
+// de que sus relojes estén sincronizados.
+
+const EMPTY_VERSION = { counter: 0, deviceId: '' };
+
+export function versionOf(record) {
+  return record?.version ?? EMPTY_VERSION;
+}
+
+export function nextVersion(records, deviceId) {
+  const counter = Math.max(0, ...records.map(record => versionOf(record).counter));
+  return { counter: counter + 1, deviceId };
+}
+
+// > 0 si `a` gana, < 0 si gana `b`, 0 si son la misma escritura
+export function compareVersions(a, b) {
+  const versionA = versionOf(a);
+  const versionB = versionOf(b);
+
+  if (versionA.counter !== versionB.counter) {
+    return versionA.counter - versionB.counter;
+  }
+  if (versionA.deviceId !== versionB.deviceId) {
+    return versionA.deviceId > versionB.deviceId ? 1 : -1;
+  }
+  return (a?.timestamp ?? 0) - (b?.timestamp ?? 0);
+}
+
+export function resolveConflict(local, remote) {
+  if (!local) return remote;
+  if (!remote) return local;
+  return compareVersions(remote, local) > 0 ? remote : local;
+}
+
+// Preferencias remotas que ganan a las locales y deben guardarse
+export function mergePreferences(localRecords, remoteRecords = []) {
+  const local = new Map(localRecords.map(record => [record.key, record]));
+  const winners = new Map();
+
+  for (const remote of remoteRecords) {
+    const current = winners.get(remote.key) ?? local.get(remote.key);
+    if (resolveConflict(current, remote) === remote && current !== remote) {
+      winners.set(remote.key, remote);
+    }
+  }
+  return [...winners.values()];
+}
@@ -0,0 +1,20 @@
+// connectivity.mjs - Estado de la conexión en las páginas
+// navigator.onLine solo indica si hay red local, no si el servidor responde,
+// pero basta para avisar al usuario y reintentar al volver la conexión.
+
+/**
+ * Llama a `listener(online)` con el estado actual y en cada evento online/offline.
+ * @param {(online: boolean) => void} listener
+ * @returns {() => void} deja de escuchar
+ */
+export function watchConnectivity(listener, target = globalThis) {
+  const notify = () => listener(target.navigator?.onLine !== false);
+  target.addEventListener('online', notify);
+  target.addEventListener('offline', notify);
+  notify();
+
+  return () => {
+    target.removeEventListener('online', notify);
+    target.removeEventListener('offline', notify);
+  };
+}
@@ -0,0 +1,125 @@
+// contact.mjs - Formulario de contacto: validación y estado de los envíos
+//
+// Cada envío se guarda en el store `contact-submissions` y lo entrega el
+// evento `sync` (lib/sync-service.mjs):
+//
+// POST {contactEndpoint}
+//   → { deviceId, submissions: [{ uuid, nombre, email, mensaje, createdAt }] }
+//   ← { acknowledged: [uuid] }
+//
+// El endpoint es la preferencia local `contactEndpoint` o, si no existe,
+// `{syncEndpoint}/contact`.
+import { backoffDelay, MAX_ATTEMPTS } from './outbox.mjs';
+
+export const CONTACT_PATH = '/contact';
+
+export const SUBMISSION_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+export const CONTACT_LIMITS = {
+  nombre: { min: 2, max: 100 },
+  email: { max: 254 },
+  mensaje: { min: 10, max: 2000 }
+};
+
+// Códigos de error por campo (claves de i18n: contact.errors.<CODE>)
+export const CONTACT_ERRORS = {
+  REQUIRED: 'REQUIRED',
+  TOO_SHORT: 'TOO_SHORT',
+  TOO_LONG: 'TOO_LONG',
+  INVALID_EMAIL: 'INVALID_EMAIL'
+};
+
+// Deliberadamente simple: algo@dominio.tld sin espacios
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function checkLength(value, { min = 0, max = Infinity }) {
+  if (value === '') return CONTACT_ERRORS.REQUIRED;
+  if (value.length < min) return CONTACT_ERRORS.TOO_SHORT;
+  if (value.length > max) return CONTACT_ERRORS.TOO_LONG;
+  return null;
+}
+
+/**
+ * Valida los campos del formulario. Se usa en la página y otra vez en el worker.
+ * @returns {{ values: { nombre: string, email: string, mensaje: string },
+ *   errors: Object<string, { code: string, limit?: number }>, valid: boolean }}
+ */
+export function validateContact(input = {}) {
+  const values = {
+    nombre: String(input.nombre ?? '').trim(),
+    email: String(input.email ?? '').trim(),
+    mensaje: String(input.mensaje ?? '').trim()
+  };
+  const errors = {};
+
+  Object.entries(CONTACT_LIMITS).forEach(([field, limits]) => {
+    const code = checkLength(values[field], limits);
+    if (code === CONTACT_ERRORS.REQUIRED) {
+      errors[field] = { code };
+    } else if (code) {
+      errors[field] = { code, limit: code === CONTACT_ERRORS.TOO_SHORT ? limits.min : limits.max };
+    }
+  });
+  if (!errors.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.email = { code: CONTACT_ERRORS.INVALID_EMAIL };
+  }
+
+  return { values, errors, valid: Object.keys(errors).length === 0 };
+}
+
+export function createSubmission(values, uuid, now = Date.now()) {
+  return {
+    uuid,
+    ...values,
+    status: SUBMISSION_STATUS.QUEUED,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    lastError: null
+  };
+}
+
+export function toWireSubmission({ uuid, nombre, email, mensaje, createdAt }) {
+  return { uuid, nombre, email, mensaje, createdAt };
+}
+
+// Envíos en cola cuyo próximo intento ya llegó
+export function dueSubmissions(submissions, now = Date.now()) {
+  return submissions
+    .filter(submission => submission.status === SUBMISSION_STATUS.QUEUED && submission.nextAttemptAt <= now)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function markSent(submission, now = Date.now()) {
+  return { ...submission, status: SUBMISSION_STATUS.SENT, updatedAt: now, nextAttemptAt: null, lastError: null };
+}
+
+// Un 4xx (salvo 408 y 429) no se arregla reintentando
+function isPermanent(error) {
+  const status = error?.status ?? 0;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// Mismo backoff que la cola de sincronización; tras MAX_ATTEMPTS queda 'failed'
+export function markFailure(submission, error, now = Date.now()) {
+  const attempts = submission.attempts + 1;
+  const failed = attempts >= MAX_ATTEMPTS || isPermanent(error);
+  return {
+    ...submission,
+    attempts,
+    status: failed ? SUBMISSION_STATUS.FAILED : SUBMISSION_STATUS.QUEUED,
+    updatedAt: now,
+    nextAttemptAt: failed ? null : now + backoffDelay(attempts),
+    lastError: error?.message ?? String(error)
+  };
+}
+
+// Vuelve a poner en cola un envío fallido
+export function retrySubmission(submission, now = Date.now()) {
+  return { ...submission, status: SUBMISSION_STATUS.QUEUED, attempts: 0, updatedAt: now, nextAttemptAt: now };
+}
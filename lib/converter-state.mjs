@@ -0,0 +1,148 @@
+// converter-state.mjs - Estado del formulario del conversor
+//
+// La fuente de verdad es lo último que escribió el usuario, en la escala en
+// que lo escribió (`source` y `text`). Cada campo se calcula desde ahí y solo
+// se redondea al mostrarlo, así que intercambiar escalas o editar otro campo
+// no acumula errores: intercambiar dos veces devuelve el texto original.
+//
+// Sin DOM: converter.js traduce los eventos del formulario a estas
+// operaciones y vuelve a pintar a partir de getState().
+//
+// `category` (lib/units.mjs) decide qué unidades valen y cómo se convierten;
+// el modo intervalo solo existe en la temperatura.
+import { MODES } from './temperature.mjs';
+import { DEFAULT_CATEGORY, getCategory } from './units.mjs';
+import { readQuantityInput } from './expression.mjs';
+import { ConversionError } from './errors.mjs';
+
+/**
+ * @typedef {Object} ConverterState
+ * @property {{ value: number, unit: string }|null} source valor escrito (null si no se pudo leer)
+ * @property {string} text texto escrito por el usuario
+ * @property {string|null} expression `text` si era una expresión
+ * @property {string} category
+ * @property {string} fromUnit
+ * @property {string} toUnit
+ * @property {string} mode
+ * @property {ConversionError|null} error
+ */
+
+// El modo intervalo solo vale en las categorías que lo admiten
+function modeFor(category, mode) {
+  return getCategory(category).intervals ? mode : MODES.ABSOLUTE;
+}
+
+export function createConverterState({ category = DEFAULT_CATEGORY, fromUnit, toUnit, mode = MODES.ABSOLUTE }) {
+  const { defaults } = getCategory(category);
+  /** @type {ConverterState} */
+  let state = {
+    source: null,
+    text: '',
+    expression: null,
+    category,
+    fromUnit: fromUnit ?? defaults.fromUnit,
+    toUnit: toUnit ?? defaults.toUnit,
+    mode: modeFor(category, mode),
+    error: null
+  };
+
+  // Guarda `next` validando el valor en su modo; un valor inválido se
+  // conserva junto con el error para poder corregirlo cambiando el modo
+  function commit(next) {
+    next = { ...next, mode: modeFor(next.category, next.mode) };
+    try {
+      if (next.source) getCategory(next.category).validate(next.source.value, next.source.unit, next.mode);
+      state = { ...next, error: null };
+    } catch (error) {
+      if (!(error instanceof ConversionError)) throw error;
+      state = { ...next, error };
+    }
+    return state;
+  }
+
+  // Valor exacto en cualquier escala (null si no hay un valor válido)
+  function valueIn(unit) {
+    if (!state.source || state.error) return null;
+    const { value, unit: sourceUnit } = state.source;
+    return unit === sourceUnit ? value : getCategory(state.category).convert(value, sourceUnit, unit, state.mode);
+  }
+
+  /**
+   * El usuario escribió `text` en el campo de la escala `unit`. Esa escala
+   * (o la indicada en la expresión) pasa a ser la de origen.
+   */
+  function input(text, { unit, locale }) {
+    try {
+      const read = readQuantityInput(text, { locale, unit, mode: state.mode, category: state.category });
+      return commit({ ...state, source: { value: read.value, unit: read.unit }, text, expression: read.expression, fromUnit: read.unit });
+    } catch (error) {
+      if (!(error instanceof ConversionError)) throw error;
+      state = { ...state, source: null, text, expression: null, error };
+      return state;
+    }
+  }
+
+  // Elegir otra escala de origen reinterpreta el número mostrado en ella:
+  // "20" °C pasa a ser "20" °F
+  function setFromUnit(unit) {
+    const value = valueIn(state.fromUnit);
+    if (value === null) {
+      state = { ...state, fromUnit: unit };
+      return state;
+    }
+    const text = state.source.unit === state.fromUnit && !state.expression ? state.text : null;
+    return commit({ ...state, source: { value, unit }, text, expression: null, fromUnit: unit });
+  }
+
+  function setToUnit(unit) {
+    state = { ...state, toUnit: unit };
+    return state;
+  }
+
+  function setMode(mode) {
+    return commit({ ...state, mode });
+  }
+
+  // Otra categoría: sus unidades por defecto (o las indicadas) y sin valor;
+  // quien llama vuelve a leer el texto con input()
+  function setCategory(category, { fromUnit, toUnit } = {}) {
+    const { defaults } = getCategory(category);
+    state = {
+      ...state,
+      source: null,
+      expression: null,
+      category,
+      fromUnit: fromUnit ?? defaults.fromUnit,
+      toUnit: toUnit ?? defaults.toUnit,
+      mode: modeFor(category, state.mode),
+      error: null
+    };
+    return state;
+  }
+
+  // Intercambia origen y destino sin tocar el valor escrito
+  function swap() {
+    state = { ...state, fromUnit: state.toUnit, toUnit: state.fromUnit };
+    return state;
+  }
+
+  // Texto del campo principal: lo escrito si está en la escala de origen;
+  // si no (p. ej. tras intercambiar), el valor calculado
+  function inputText(format) {
+    if (state.source && state.source.unit === state.fromUnit && state.text !== null) return state.text;
+    const value = valueIn(state.fromUnit);
+    return value === null ? state.text ?? '' : format(value);
+  }
+
+  return {
+    getState: () => state,
+    valueIn,
+    input,
+    setFromUnit,
+    setToUnit,
+    setMode,
+    setCategory,
+    swap,
+    inputText
+  };
+}
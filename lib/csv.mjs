@@ -0,0 +1,92 @@
+// csv.mjs - Lectura y escritura de CSV (RFC 4180)
+// Lo usan la exportación/importación (lib/data-transfer.mjs) y la conversión
+// por lotes (lib/batch.mjs). El separador es configurable porque en locales
+// con coma decimal las hojas de cálculo exportan con ';'.
+
+export const DELIMITERS = [',', ';', '\t'];
+
+export class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsvError';
+    this.code = 'INVALID_CSV';
+  }
+}
+
+export function csvField(value, delimiter = ',') {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text);
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Una hoja de cálculo interpreta como fórmula el texto que empieza por
+// = + - @ (o tabulador/retorno): se antepone un apóstrofo para que quede como texto
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Quita el apóstrofo que agregó neutralizeFormula al volver a leer el archivo
+export function restoreFormula(value) {
+  return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/** @param {Array<Array<*>>} rows */
+export function formatCsv(rows, { delimiter = ',' } = {}) {
+  return rows.map(row => row.map(value => csvField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// Comillas dobles, "" escapada y saltos de línea dentro de comillas.
+// Las líneas vacías se descartan.
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError('Comillas sin cerrar en el CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Separador más frecuente en la primera línea; ',' si no aparece ninguno
+export function detectDelimiter(text) {
+  const [firstLine = ''] = String(text).split(/\r?\n/, 1);
+  const counts = DELIMITERS.map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count > 0 ? best.delimiter : ',';
+}
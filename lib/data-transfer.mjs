@@ -0,0 +1,285 @@
+// data-transfer.mjs - Exportación e importación del historial y las preferencias
+//
+// Formatos:
+//   JSON  { format: EXPORT_FORMAT, version, exportedAt, conversions: [...], preferences: [...] }
+//         conversiones con los campos de toWireConversion (lib/sync.mjs) y
+//         preferencias con { key, value, timestamp, version }
+//   CSV   solo conversiones, una por fila con las columnas de CSV_COLUMNS
+//         (`date` es informativa: al importar manda `timestamp`)
+//
+// La importación nunca falla por un registro: cada fila inválida se rechaza
+// con un motivo y el resto se fusiona. Solo un archivo ilegible o de otro
+// formato lanza DataFormatError.
+import { MODES } from './temperature.mjs';
+import { CATEGORIES, DEFAULT_CATEGORY, hasUnit, convertUnit, validateValue } from './units.mjs';
+import { formatQuantity } from './number-format.mjs';
+import { LOCAL_PREFERENCE_KEYS, createId, toWireConversion, syncablePreferences } from './sync.mjs';
+import { resolveConflict } from './conflict.mjs';
+import { CsvError, formatCsv, parseCsv, neutralizeFormula, restoreFormula } from './csv.mjs';
+import { MAX_EXPRESSION_LENGTH } from './expression.mjs';
+
+export const EXPORT_FORMAT = 'temperature-converter-export';
+export const EXPORT_VERSION = 1;
+
+export const CSV_COLUMNS = ['uuid', 'date', 'value', 'category', 'fromUnit', 'toUnit', 'mode', 'expression', 'result', 'resultValue', 'count', 'timestamp'];
+
+// Motivos de rechazo de un registro (claves de i18n: transfer.reasons.<REASON>)
+export const REJECT_REASONS = {
+  INVALID_VALUE: 'INVALID_VALUE',
+  INVALID_CATEGORY: 'INVALID_CATEGORY',
+  INVALID_UNIT: 'INVALID_UNIT',
+  INVALID_MODE: 'INVALID_MODE',
+  INVALID_TIMESTAMP: 'INVALID_TIMESTAMP',
+  INVALID_COUNT: 'INVALID_COUNT',
+  INVALID_KEY: 'INVALID_KEY',
+  OUT_OF_RANGE: 'OUT_OF_RANGE'
+};
+
+export class DataFormatError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DataFormatError';
+    this.code = code;
+  }
+}
+
+// ==========================================
+// EXPORTACIÓN
+// ==========================================
+
+export function createJsonExport({ conversions, preferences }, now = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    conversions: conversions.map(toWireConversion),
+    preferences: syncablePreferences(preferences)
+  };
+}
+
+export function conversionsToCsv(conversions) {
+  const rows = conversions.map(conversion => {
+    const wire = toWireConversion(conversion);
+    // Solo las celdas de texto (expresión, resultado...) pueden parecer fórmulas
+    return CSV_COLUMNS.map(column => (column === 'date' ? new Date(wire.timestamp).toISOString() : neutralizeFormula(wire[column])));
+  });
+  return formatCsv([CSV_COLUMNS, ...rows]);
+}
+
+// ==========================================
+// LECTURA DE ARCHIVOS
+// ==========================================
+
+function csvToConversions(text) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (error) {
+    if (!(error instanceof CsvError)) throw error;
+    throw new DataFormatError(error.message, 'INVALID_CSV');
+  }
+  const [header, ...rows] = parsed;
+  const columns = (header ?? []).map(column => column.trim());
+  const missing = ['value', 'fromUnit', 'toUnit', 'timestamp'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new DataFormatError(`Faltan columnas en el CSV: ${missing.join(', ')}`, 'INVALID_CSV');
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, i) => {
+      const cell = (cells[i] ?? '').trim();
+      if (cell !== '') record[column] = restoreFormula(cell);
+    });
+    return record;
+  });
+}
+
+/**
+ * Lee un archivo exportado (JSON o CSV) y devuelve sus registros sin validar.
+ * @returns {{ conversions: Object[], preferences: Object[] }}
+ */
+export function parseImport(text) {
+  const content = String(text ?? '').replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    throw new DataFormatError('El archivo está vacío', 'EMPTY_FILE');
+  }
+
+  if (!content.startsWith('{')) {
+    return { conversions: csvToConversions(content), preferences: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new DataFormatError('El archivo no es JSON válido', 'INVALID_JSON');
+  }
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new DataFormatError('El archivo no es una exportación del conversor', 'UNKNOWN_FORMAT');
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new DataFormatError(`Versión de exportación no soportada: ${data.version}`, 'UNSUPPORTED_VERSION');
+  }
+  if (!Array.isArray(data.conversions ?? []) || !Array.isArray(data.preferences ?? [])) {
+    throw new DataFormatError('conversions y preferences deben ser listas', 'INVALID_SCHEMA');
+  }
+  return { conversions: data.conversions ?? [], preferences: data.preferences ?? [] };
+}
+
+// ==========================================
+// VALIDACIÓN Y FUSIÓN
+// ==========================================
+
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+}
+
+// Conversión normalizada o el motivo de su rechazo
+export function validateConversion(record) {
+  if (!record || typeof record !== 'object') return { reason: REJECT_REASONS.INVALID_VALUE };
+
+  const value = toNumber(record.value);
+  const timestamp = toNumber(record.timestamp);
+  const count = toNumber(record.count ?? 1);
+  const { fromUnit, toUnit } = record;
+  // Los archivos anteriores al modo intervalo o a las categorías solo tienen temperaturas
+  const mode = record.mode || MODES.ABSOLUTE;
+  const category = record.category || DEFAULT_CATEGORY;
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) return { reason: REJECT_REASONS.INVALID_VALUE };
+  if (!Object.hasOwn(CATEGORIES, category)) return { reason: REJECT_REASONS.INVALID_CATEGORY };
+  if (!hasUnit(category, fromUnit) || !hasUnit(category, toUnit)) return { reason: REJECT_REASONS.INVALID_UNIT };
+  if (!Object.values(MODES).includes(mode) || (mode === MODES.INTERVAL && !CATEGORIES[category].intervals)) {
+    return { reason: REJECT_REASONS.INVALID_MODE };
+  }
+  if (!Number.isInteger(timestamp) || timestamp <= 0) return { reason: REJECT_REASONS.INVALID_TIMESTAMP };
+  if (!Number.isInteger(count) || count < 1) return { reason: REJECT_REASONS.INVALID_COUNT };
+
+  try {
+    validateValue(value, fromUnit, { category, mode });
+  } catch {
+    return { reason: REJECT_REASONS.OUT_OF_RANGE };
+  }
+
+  // El resultado (número y texto) se recalcula: el del archivo podría no
+  // corresponder al valor o contener cualquier cosa
+  const resultValue = convertUnit(value, fromUnit, toUnit, { category, mode });
+  return {
+    conversion: {
+      uuid: typeof record.uuid === 'string' && record.uuid ? record.uuid : null,
+      value,
+      category,
+      fromUnit,
+      toUnit,
+      mode,
+      expression: typeof record.expression === 'string' && record.expression ? record.expression.slice(0, MAX_EXPRESSION_LENGTH) : null,
+      result: formatQuantity(resultValue, toUnit, { mode }),
+      resultValue,
+      count,
+      timestamp
+    }
+  };
+}
+
+export function validatePreference(record) {
+  if (!record || typeof record.key !== 'string' || !record.key || LOCAL_PREFERENCE_KEYS.includes(record.key)) {
+    return { reason: REJECT_REASONS.INVALID_KEY };
+  }
+  if (record.value === undefined) return { reason: REJECT_REASONS.INVALID_VALUE };
+
+  const timestamp = toNumber(record.timestamp ?? Date.now());
+  if (!Number.isInteger(timestamp) || timestamp <= 0) return { reason: REJECT_REASONS.INVALID_TIMESTAMP };
+
+  const { version } = record;
+  const validVersion = version && Number.isInteger(version.counter) && typeof version.deviceId === 'string';
+  return {
+    preference: {
+      key: record.key,
+      value: record.value,
+      timestamp,
+      ...(validVersion && { version: { counter: version.counter, deviceId: version.deviceId } })
+    }
+  };
+}
+
+// Los valores de las preferencias vienen de JSON: se comparan serializados
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Sin uuid (p. ej. un CSV editado a mano) se compara por contenido
+function conversionKey(conversion) {
+  return conversion.uuid ?? `${conversion.timestamp}|${conversion.value}|${conversion.fromUnit}|${conversion.toUnit}|${conversion.mode ?? MODES.ABSOLUTE}`;
+}
+
+/**
+ * Decide qué registros importados se guardan.
+ * - Conversiones: se omiten las que ya existen (mismo uuid o mismo contenido)
+ *   salvo que la importada sea más reciente, que reemplaza a la local.
+ * - Preferencias: con versión se resuelven como en la sincronización; sin
+ *   versión cuentan como una escritura nueva de este dispositivo, salvo que
+ *   tengan el mismo valor que la local (p. ej. al reimportar un export propio).
+ * @returns {{ conversions: Object[], preferences: Object[], report: Object }}
+ */
+export function planImport(imported, { conversions: localConversions, preferences: localPreferences }) {
+  const report = {
+    conversions: { added: 0, updated: 0, duplicates: 0, rejected: [] },
+    preferences: { merged: 0, unchanged: 0, rejected: [] }
+  };
+
+  const known = new Map();
+  localConversions.forEach(conversion => {
+    known.set(conversion.uuid, conversion);
+    known.set(conversionKey({ ...conversion, uuid: null }), conversion);
+  });
+
+  const conversions = [];
+  imported.conversions.forEach((record, index) => {
+    const { conversion, reason } = validateConversion(record);
+    if (!conversion) {
+      report.conversions.rejected.push({ index, reason });
+      return;
+    }
+
+    const existing = known.get(conversionKey(conversion)) ?? known.get(conversionKey({ ...conversion, uuid: null }));
+    if (existing && !(conversion.uuid === existing.uuid && conversion.timestamp > existing.timestamp)) {
+      report.conversions.duplicates++;
+      return;
+    }
+
+    const saved = {
+      ...(existing && { id: existing.id }),
+      ...conversion,
+      uuid: conversion.uuid ?? createId(),
+      synced: 0
+    };
+    conversions.push(saved);
+    known.set(saved.uuid, saved);
+    known.set(conversionKey({ ...saved, uuid: null }), saved);
+    report.conversions[existing ? 'updated' : 'added']++;
+  });
+
+  const current = new Map(localPreferences.map(record => [record.key, record]));
+  const preferences = [];
+  imported.preferences.forEach((record, index) => {
+    const { preference, reason } = validatePreference(record);
+    if (!preference) {
+      report.preferences.rejected.push({ index, reason });
+      return;
+    }
+
+    const local = current.get(preference.key);
+    const winner = preference.version ? resolveConflict(local, preference) : preference;
+    const unversionedRepeat = !preference.version && local && sameValue(local.value, preference.value);
+    if (winner !== preference || unversionedRepeat) {
+      report.preferences.unchanged++;
+      return;
+    }
+    preferences.push(preference);
+    current.set(preference.key, preference);
+    report.preferences.merged++;
+  });
+
+  return { conversions, preferences, report };
+}
@@ -0,0 +1,62 @@
+// errors.mjs - Errores tipados de conversión
+// Cada error lleva un `code` estable para que la interfaz pueda
+// mostrar el mensaje adecuado sin depender del texto.
+
+export class ConversionError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class InvalidNumberError extends ConversionError {
+  constructor(input) {
+    super(`No es un número válido: "${input}"`, 'INVALID_NUMBER', { input });
+  }
+}
+
+export class NonFiniteValueError extends ConversionError {
+  constructor(value) {
+    super(`El valor no es finito: ${value}`, 'NON_FINITE', { value });
+  }
+}
+
+export class InvalidUnitError extends ConversionError {
+  constructor(unit) {
+    super(`Unidad no válida: ${unit}`, 'INVALID_UNIT', { unit });
+  }
+}
+
+export class InvalidModeError extends ConversionError {
+  constructor(mode) {
+    super(`Modo de conversión no válido: ${mode}`, 'INVALID_MODE', { mode });
+  }
+}
+
+export class InvalidCategoryError extends ConversionError {
+  constructor(category) {
+    super(`Categoría no válida: ${category}`, 'INVALID_CATEGORY', { category });
+  }
+}
+
+// Longitudes, masas y volúmenes no pueden ser negativos
+export class NegativeValueError extends ConversionError {
+  constructor(value, unit) {
+    super(`El valor no puede ser negativo: ${value}`, 'NEGATIVE_VALUE', { value, unit });
+  }
+}
+
+// `position` empieza en 1 para mostrarla al usuario
+export class InvalidExpressionError extends ConversionError {
+  constructor(input, index, reason) {
+    super(`Expresión no válida en la posición ${index + 1}: ${reason}`, 'INVALID_EXPRESSION', { input, position: index + 1, reason });
+  }
+}
+
+export class BelowAbsoluteZeroError extends ConversionError {
+  constructor(value, unit, minimum) {
+    super(`${value} está por debajo del cero absoluto (${minimum})`, 'BELOW_ABSOLUTE_ZERO', { value, unit, minimum });
+  }
+}
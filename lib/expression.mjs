@@ -0,0 +1,283 @@
+// expression.mjs - Expresiones con unidades en el campo del conversor
+//
+// Acepta un número ("20,5") o una expresión pequeña:
+//   98.6F   300 K - 20 C   avg(20C, 25C, 30C)   (72F + 5)   -40 °F
+//   5 km + 300 m   2 lb + 3 oz   max(60 km/h, 35 mph)
+//
+// Gramática (analizador descendente escrito a mano, sin eval):
+//   expr    := unary (('+' | '-') unary)*
+//   unary   := ('+' | '-') unary | primary
+//   primary := NUMBER UNIT? | FUNC '(' expr ((',' | ';') expr)* ')' | '(' expr ')'
+//
+// Unidades: el id o el símbolo de una unidad de la categoría elegida, con o
+// sin '°' (c, °C, ré, rø, km/h, m³...).
+// Reglas para combinar escalas (o unidades de otras categorías):
+//   - En a ± b manda la escala de a; si b tiene otra escala se toma como
+//     diferencia (solo el factor): "300 K - 20 C" = 280 K.
+//   - Un número sin unidad adopta la escala del otro operando: "72F + 5" = 77 °F.
+//   - avg/min/max convierten sus argumentos a la escala del primero que
+//     tenga unidad, según el modo (temperatura o intervalo).
+// Si ningún valor lleva unidad se usa la escala elegida en el formulario.
+import { MODES } from './temperature.mjs';
+import { DEFAULT_CATEGORY, getCategory, listCategories, listUnits } from './units.mjs';
+import { getSeparators, parseLocaleNumber } from './number-format.mjs';
+import { InvalidExpressionError, InvalidNumberError } from './errors.mjs';
+
+export const MAX_EXPRESSION_LENGTH = 200;
+
+// Motivos de error (claves de i18n: expression.errors.<REASON>)
+export const EXPRESSION_ERRORS = {
+  TOO_LONG: 'TOO_LONG',
+  UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+  UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+  UNEXPECTED_END: 'UNEXPECTED_END',
+  UNKNOWN_UNIT: 'UNKNOWN_UNIT',
+  UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION'
+};
+
+const FUNCTIONS = {
+  avg: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values)
+};
+
+const normalizeUnit = text => text.toLowerCase().replace('°', '').replace(/\s+/g, ' ');
+
+// Símbolos con espacios ("fl oz"): se reconocen como una sola palabra antes
+// de separar por espacios
+const MULTI_WORD_UNITS = listCategories()
+  .flatMap(category => listUnits(category).map(unit => unit.symbol))
+  .filter(symbol => /\s/.test(symbol))
+  .map(symbol => symbol.split(/\s+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+  .map(parts => new RegExp(`${parts.join('\\s+')}(?!\\p{L})`, 'iuy'));
+
+// "c", "°c", "re", "ré", "°ré", "km/h"... → id de la unidad, por categoría
+const UNIT_ALIASES = new Map();
+
+function unitAliases(category) {
+  if (!UNIT_ALIASES.has(category)) {
+    UNIT_ALIASES.set(category, new Map(Object.entries(getCategory(category).units).flatMap(([id, unit]) => [
+      [id, id],
+      [normalizeUnit(unit.symbol), id]
+    ])));
+  }
+  return UNIT_ALIASES.get(category);
+}
+
+export function resolveUnit(text, category = DEFAULT_CATEGORY) {
+  return unitAliases(category).get(normalizeUnit(text)) ?? null;
+}
+
+// ==========================================
+// ANÁLISIS LÉXICO
+// ==========================================
+
+function matchWord(input, index) {
+  for (const pattern of MULTI_WORD_UNITS) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(input);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * @param {string} input
+ * @param {string} decimal separador decimal del locale; solo se acepta ese.
+ *   La coma es decimal únicamente entre dígitos ("20,5"); si no, separa
+ *   argumentos ("avg(20C,30C)")
+ * @returns {{ type: string, text: string, position: number }[]}
+ */
+export function tokenize(input, decimal = '.') {
+  const tokens = [];
+  const number = decimal === ',' ? /\d+(?:,\d+)?/y : /\d+(?:\.\d*)?|\.\d+/y;
+  // Las palabras pueden seguir con '/' o '³' para unidades como km/h o m³
+  const word = /°?\p{L}[\p{L}/³]*/uy;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    number.lastIndex = i;
+    word.lastIndex = i;
+    const numberMatch = /[\d.,]/.test(char) ? number.exec(input) : null;
+    const wordMatch = numberMatch ? null : matchWord(input, i) ?? word.exec(input);
+
+    if (numberMatch) {
+      tokens.push({ type: 'number', text: numberMatch[0], position: i });
+      i += numberMatch[0].length;
+    } else if (wordMatch) {
+      tokens.push({ type: 'word', text: wordMatch[0], position: i });
+      i += wordMatch[0].length;
+    } else if ('+-−()'.includes(char)) {
+      tokens.push({ type: char === '−' ? '-' : char, text: char, position: i });
+      i++;
+    } else if (char === ',' || char === ';') {
+      tokens.push({ type: 'separator', text: char, position: i });
+      i++;
+    } else {
+      throw new InvalidExpressionError(input, i, EXPRESSION_ERRORS.UNEXPECTED_CHARACTER);
+    }
+  }
+  return tokens;
+}
+
+// ==========================================
+// ANÁLISIS SINTÁCTICO
+// ==========================================
+
+/**
+ * Árbol de la expresión:
+ *   { type: 'number', value, unit: string|null, position }
+ *   { type: 'negate', operand, position }
+ *   { type: 'binary', operator: '+'|'-', left, right, position }
+ *   { type: 'call', name, args, position }
+ */
+export function parseExpression(input, { decimal = '.', category = DEFAULT_CATEGORY } = {}) {
+  const text = String(input);
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new InvalidExpressionError(text, MAX_EXPRESSION_LENGTH, EXPRESSION_ERRORS.TOO_LONG);
+  }
+
+  const tokens = tokenize(text, decimal);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (reason, token = peek()) => {
+    throw new InvalidExpressionError(text, token ? token.position : text.length, token ? reason : EXPRESSION_ERRORS.UNEXPECTED_END);
+  };
+  const expect = (type) => {
+    if (peek()?.type !== type) fail(EXPRESSION_ERRORS.UNEXPECTED_TOKEN);
+    return tokens[index++];
+  };
+
+  function parseSum() {
+    let node = parseUnary();
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      const operator = tokens[index++];
+      node = { type: 'binary', operator: operator.type, left: node, right: parseUnary(), position: operator.position };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token?.type === '-' || token?.type === '+') {
+      index++;
+      const operand = parseUnary();
+      return token.type === '-' ? { type: 'negate', operand, position: token.position } : operand;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) fail(EXPRESSION_ERRORS.UNEXPECTED_END);
+
+    if (token.type === 'number') {
+      index++;
+      const node = { type: 'number', value: Number(token.text.replace(',', '.')), unit: null, position: token.position };
+      // Una palabra después del número es su unidad (salvo que abra una función)
+      if (peek()?.type === 'word' && tokens[index + 1]?.type !== '(') {
+        const unitToken = tokens[index++];
+        node.unit = resolveUnit(unitToken.text, category);
+        if (!node.unit) fail(EXPRESSION_ERRORS.UNKNOWN_UNIT, unitToken);
+      }
+      return node;
+    }
+
+    if (token.type === 'word') {
+      const name = token.text.toLowerCase();
+      if (!Object.hasOwn(FUNCTIONS, name)) {
+        fail(resolveUnit(token.text, category) ? EXPRESSION_ERRORS.UNEXPECTED_TOKEN : EXPRESSION_ERRORS.UNKNOWN_FUNCTION);
+      }
+      index++;
+      expect('(');
+      const args = [parseSum()];
+      while (peek()?.type === 'separator') {
+        index++;
+        args.push(parseSum());
+      }
+      expect(')');
+      return { type: 'call', name, args, position: token.position };
+    }
+
+    if (token.type === '(') {
+      index++;
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+
+    return fail(EXPRESSION_ERRORS.UNEXPECTED_TOKEN);
+  }
+
+  const tree = parseSum();
+  if (index < tokens.length) fail(EXPRESSION_ERRORS.UNEXPECTED_TOKEN);
+  return tree;
+}
+
+// ==========================================
+// EVALUACIÓN
+// ==========================================
+
+// Resultado parcial: valor y escala (null = número sin unidad)
+function evaluateNode(node, mode, category) {
+  switch (node.type) {
+    case 'number':
+      return { value: node.value, unit: node.unit };
+    case 'negate': {
+      const operand = evaluateNode(node.operand, mode, category);
+      return { ...operand, value: -operand.value };
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, mode, category);
+      const right = evaluateNode(node.right, mode, category);
+      const unit = left.unit ?? right.unit;
+      const delta = right.unit && right.unit !== unit ? category.convertDelta(right.value, right.unit, unit) : right.value;
+      return { value: node.operator === '+' ? left.value + delta : left.value - delta, unit };
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluateNode(arg, mode, category));
+      const unit = args.find(arg => arg.unit)?.unit ?? null;
+      const values = args.map(arg => (arg.unit && arg.unit !== unit ? category.convert(arg.value, arg.unit, unit, mode) : arg.value));
+      return { value: FUNCTIONS[node.name](values), unit };
+    }
+    default:
+      throw new Error(`Nodo desconocido: ${node.type}`);
+  }
+}
+
+/**
+ * @returns {{ value: number, unit: string|null }} unit = null si ningún valor la indica
+ */
+export function evaluateExpression(tree, { mode = MODES.ABSOLUTE, category = DEFAULT_CATEGORY } = {}) {
+  return evaluateNode(tree, mode, getCategory(category));
+}
+
+/**
+ * Lee el campo del conversor: primero como número del locale y, si no lo
+ * es, como expresión. `expression` es el texto original (null si era un número).
+ * @returns {{ value: number, unit: string, expression: string|null }}
+ */
+export function readQuantityInput(input, { locale, unit, mode = MODES.ABSOLUTE, category = DEFAULT_CATEGORY }) {
+  try {
+    return { value: parseLocaleNumber(input, locale), unit, expression: null };
+  } catch (error) {
+    if (!(error instanceof InvalidNumberError)) throw error;
+  }
+
+  const text = String(input).trim();
+  // Un texto sin dígitos ni paréntesis no es una expresión: se informa como número inválido
+  if (!/[\d(]/.test(text)) {
+    throw new InvalidNumberError(input);
+  }
+
+  const tree = parseExpression(text, { decimal: getSeparators(locale).decimal, category });
+  const result = evaluateExpression(tree, { mode, category });
+  return { value: result.value, unit: result.unit ?? unit, expression: text };
+}
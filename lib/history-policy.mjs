@@ -0,0 +1,85 @@
+// history-policy.mjs - Cuándo una conversión se guarda en el historial
+//
+// Mientras el usuario escribe, cada resultado intermedio ("1", "10", "100")
+// solo se propone. Se guarda cuando pasa `delay` ms sin cambios o cuando se
+// llama a flush() (al salir del campo o al ocultar la página). Las entradas
+// inválidas cancelan la propuesta.
+//
+// Una conversión igual a la última guardada solo se vuelve a enviar si el
+// usuario la escribió de nuevo, es decir, si entre medias propuso otra o
+// pasó por una entrada inválida: así el repositorio incrementa su `count`.
+// Si se vuelve a anunciar sin más (p. ej. al cambiar los decimales) se ignora.
+import { MODES } from './temperature.mjs';
+
+export const DEFAULT_DELAY_MS = 1500;
+
+// Dos conversiones son iguales si convierten el mismo valor entre las mismas
+// escalas y en el mismo modo (los registros sin modo son absolutos)
+export function isSameConversion(a, b) {
+  return Boolean(a && b) &&
+    a.value === b.value &&
+    a.fromUnit === b.fromUnit &&
+    a.toUnit === b.toUnit &&
+    (a.mode ?? MODES.ABSOLUTE) === (b.mode ?? MODES.ABSOLUTE);
+}
+
+export function isValidConversion(conversion) {
+  return Boolean(conversion) &&
+    Number.isFinite(conversion.value) &&
+    Number.isFinite(conversion.resultValue) &&
+    Boolean(conversion.fromUnit && conversion.toUnit);
+}
+
+/**
+ * @param {Object} options
+ * @param {(conversion: Object) => Promise<unknown>} options.save
+ * @param {number} [options.delay]
+ */
+export function createHistoryRecorder({ save, delay = DEFAULT_DELAY_MS, timers = globalThis }) {
+  let pending = null;
+  let lastSaved = null;
+  // El usuario pasó por otra conversión (o por una entrada inválida) desde el último guardado
+  let changedSinceSave = true;
+  let timer = null;
+
+  function clearPending() {
+    pending = null;
+    if (timer !== null) {
+      timers.clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function cancel() {
+    clearPending();
+    changedSinceSave = true;
+  }
+
+  async function flush() {
+    const conversion = pending;
+    clearPending();
+    if (!conversion) return false;
+
+    lastSaved = conversion;
+    changedSinceSave = false;
+    await save(conversion);
+    return true;
+  }
+
+  function propose(conversion) {
+    if (!isValidConversion(conversion)) {
+      cancel();
+      return;
+    }
+    clearPending();
+    if (!isSameConversion(conversion, lastSaved)) {
+      changedSinceSave = true;
+    } else if (!changedSinceSave) {
+      return;
+    }
+    pending = conversion;
+    timer = timers.setTimeout(flush, delay);
+  }
+
+  return { propose, flush, cancel };
+}
@@ -0,0 +1,100 @@
+// history-query.mjs - Búsqueda, filtros y paginación del historial
+//
+// Una consulta combina:
+//   search              texto buscado en el valor, la expresión, el resultado y el nombre de las escalas
+//   category            magnitud (lib/units.mjs); los registros sin categoría son de temperatura
+//   fromUnit, toUnit    escala de origen / destino
+//   dateFrom, dateTo    intervalo de fechas (timestamps en ms, inclusivos)
+//   minValue, maxValue  intervalo del valor de entrada (inclusivos)
+//   limit               tamaño de la página
+//   cursor              posición devuelta por la página anterior (nextCursor)
+//
+// El historial se recorre del más reciente al más antiguo por el índice
+// 'timestamp'; el cursor guarda el timestamp y el id del último registro
+// entregado, así que la paginación no se desplaza si se agregan conversiones.
+import { SCALES } from './temperature.mjs';
+import { DEFAULT_CATEGORY, categoryOf, quantitySymbol } from './units.mjs';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 200;
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function clampLimit(limit) {
+  const number = Math.trunc(Number(limit));
+  if (!Number.isFinite(number) || number < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(number, MAX_PAGE_SIZE);
+}
+
+/**
+ * Normaliza una consulta recibida por mensaje: descarta filtros vacíos
+ * y convierte los intervalos a números.
+ */
+export function normalizeQuery(query = {}) {
+  return {
+    search: String(query.search ?? '').trim().toLowerCase(),
+    category: query.category || null,
+    fromUnit: query.fromUnit || null,
+    toUnit: query.toUnit || null,
+    dateFrom: toNumberOrNull(query.dateFrom),
+    dateTo: toNumberOrNull(query.dateTo),
+    minValue: toNumberOrNull(query.minValue),
+    maxValue: toNumberOrNull(query.maxValue),
+    limit: clampLimit(query.limit),
+    cursor: decodeCursor(query.cursor)
+  };
+}
+
+export function encodeCursor({ timestamp, id }) {
+  return `${timestamp}:${id}`;
+}
+
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string') return null;
+  const [timestamp, id] = cursor.split(':').map(Number);
+  return Number.isFinite(timestamp) && Number.isFinite(id) ? { timestamp, id } : null;
+}
+
+// Nombres con los que se puede buscar una unidad: el de la escala de
+// temperatura (los demás se traducen en la página), el símbolo y el id
+function unitTerms(unit) {
+  if (!categoryOf(unit)) return [];
+  return [SCALES[unit]?.name ?? unit, quantitySymbol(unit)];
+}
+
+// Texto en el que se busca: valor, expresión, resultado mostrado y nombre/símbolo de ambas escalas
+function searchableText(conversion) {
+  return [
+    conversion.value,
+    conversion.expression ?? '',
+    conversion.result,
+    ...unitTerms(conversion.fromUnit),
+    ...unitTerms(conversion.toUnit)
+  ].join(' ').toLowerCase();
+}
+
+/** @param {ReturnType<typeof normalizeQuery>} query */
+export function matchesQuery(conversion, query) {
+  const { search, category, fromUnit, toUnit, dateFrom, dateTo, minValue, maxValue } = query;
+
+  if (category && (conversion.category ?? DEFAULT_CATEGORY) !== category) return false;
+  if (fromUnit && conversion.fromUnit !== fromUnit) return false;
+  if (toUnit && conversion.toUnit !== toUnit) return false;
+  if (dateFrom !== null && conversion.timestamp < dateFrom) return false;
+  if (dateTo !== null && conversion.timestamp > dateTo) return false;
+  if (minValue !== null && !(conversion.value >= minValue)) return false;
+  if (maxValue !== null && !(conversion.value <= maxValue)) return false;
+  if (search && !searchableText(conversion).includes(search)) return false;
+  return true;
+}
+
+// Indica si el registro ya se entregó en una página anterior
+export function isBeforeCursor(conversion, cursor) {
+  if (!cursor) return false;
+  return conversion.timestamp > cursor.timestamp ||
+    (conversion.timestamp === cursor.timestamp && conversion.id >= cursor.id);
+}
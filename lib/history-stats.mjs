@@ -0,0 +1,93 @@
+// history-stats.mjs - Estadísticas del historial de conversiones
+// Funciones puras sobre los registros de GET_CONVERSIONS: no dependen del
+// DOM ni de IndexedDB. Una conversión repetida (`count` > 1) cuenta tantas
+// veces como se repitió. Los valores de entrada solo toman en cuenta las
+// temperaturas: un intervalo no es comparable con ellas.
+import { MODES } from './temperature.mjs';
+import { categoryOf, convertUnit } from './units.mjs';
+
+function isAbsolute(conversion) {
+  return (conversion.mode ?? MODES.ABSOLUTE) === MODES.ABSOLUTE;
+}
+
+function weight(conversion) {
+  return Number.isInteger(conversion.count) && conversion.count > 0 ? conversion.count : 1;
+}
+
+// Día local "AAAA-MM-DD" de un timestamp
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** @returns {{ fromUnit: string, toUnit: string, count: number }[]} de más a menos usados */
+export function topUnitPairs(conversions, limit = 5) {
+  const pairs = new Map();
+  conversions.forEach(conversion => {
+    const key = `${conversion.fromUnit}→${conversion.toUnit}`;
+    const pair = pairs.get(key) ?? { fromUnit: conversion.fromUnit, toUnit: conversion.toUnit, count: 0 };
+    pair.count += weight(conversion);
+    pairs.set(key, pair);
+  });
+  return [...pairs.values()]
+    .sort((a, b) => b.count - a.count || a.fromUnit.localeCompare(b.fromUnit) || a.toUnit.localeCompare(b.toUnit))
+    .slice(0, limit);
+}
+
+/** @returns {{ day: string, count: number }[]} en orden cronológico */
+export function conversionsPerDay(conversions) {
+  const days = new Map();
+  conversions.forEach(conversion => {
+    const day = dayKey(conversion.timestamp);
+    days.set(day, (days.get(day) ?? 0) + weight(conversion));
+  });
+  return [...days.entries()]
+    .map(([day, count]) => ({ day, count }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/** @returns {{ unit: string, count: number, min: number, max: number, average: number }[]} */
+export function inputStatsByScale(conversions) {
+  const scales = new Map();
+  conversions.forEach(conversion => {
+    if (!Number.isFinite(conversion.value) || !isAbsolute(conversion)) return;
+    const count = weight(conversion);
+    const stats = scales.get(conversion.fromUnit) ?? { unit: conversion.fromUnit, count: 0, min: Infinity, max: -Infinity, sum: 0 };
+    stats.count += count;
+    stats.min = Math.min(stats.min, conversion.value);
+    stats.max = Math.max(stats.max, conversion.value);
+    stats.sum += conversion.value * count;
+    scales.set(conversion.fromUnit, stats);
+  });
+  return [...scales.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(({ sum, ...stats }) => ({ ...stats, average: sum / stats.count }));
+}
+
+/**
+ * Serie temporal de los valores de entrada expresados en una misma escala.
+ * Solo incluye las conversiones de la categoría de `unit`.
+ * @returns {{ timestamp: number, value: number }[]}
+ */
+export function valuesOverTime(conversions, unit) {
+  const category = categoryOf(unit);
+  return conversions
+    .filter(conversion => Number.isFinite(conversion.value) && isAbsolute(conversion))
+    .filter(conversion => categoryOf(conversion.fromUnit) === category)
+    .map(conversion => ({
+      timestamp: conversion.timestamp,
+      value: convertUnit(conversion.value, conversion.fromUnit, unit, { category })
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export function computeStatistics(conversions) {
+  return {
+    total: conversions.reduce((total, conversion) => total + weight(conversion), 0),
+    pairs: topUnitPairs(conversions),
+    perDay: conversionsPerDay(conversions),
+    byScale: inputStatsByScale(conversions)
+  };
+}
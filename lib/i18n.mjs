@@ -0,0 +1,80 @@
+// i18n.mjs - Catálogos de mensajes e idioma activo
+// Sin dependencias del DOM al cargarse: lo usan la página y el Service Worker.
+import es from './locales/es.mjs';
+import en from './locales/en.mjs';
+
+export const CATALOGS = { es, en };
+export const DEFAULT_LANGUAGE = 'es';
+
+let currentLanguage = resolveLanguage(...(globalThis.navigator?.languages ?? []));
+const listeners = new Set();
+
+// Devuelve el primer idioma soportado de la lista ("es-MX" -> "es")
+export function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const base = String(candidate).toLowerCase().split('-')[0];
+    if (CATALOGS[base]) return base;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// "es-MX,es;q=0.9,en;q=0.8" -> ['es-MX', 'es', 'en']
+export function parseAcceptLanguage(header) {
+  return String(header ?? '')
+    .split(',')
+    .map(part => part.split(';')[0].trim())
+    .filter(Boolean);
+}
+
+export function translate(language, key, params = {}) {
+  const messages = (CATALOGS[language] ?? CATALOGS[DEFAULT_LANGUAGE]).messages;
+  const template = messages[key] ?? CATALOGS[DEFAULT_LANGUAGE].messages[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+export function t(key, params) {
+  return translate(currentLanguage, key, params);
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+// Locale para números y fechas: el del navegador si coincide con el idioma elegido
+export function getLocale() {
+  const navigatorLocale = globalThis.navigator?.language;
+  if (navigatorLocale && resolveLanguage(navigatorLocale) === currentLanguage) {
+    return navigatorLocale;
+  }
+  return CATALOGS[currentLanguage].meta.locale;
+}
+
+export function setLanguage(language) {
+  const resolved = resolveLanguage(language);
+  if (resolved === currentLanguage) return;
+  currentLanguage = resolved;
+  listeners.forEach(listener => listener(resolved));
+}
+
+export function onLanguageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Traduce los elementos marcados con data-i18n (texto) y
+// data-i18n-attr="atributo:clave;otro:clave" (atributos)
+export function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attribute, key] = pair.split(':');
+      element.setAttribute(attribute.trim(), t(key.trim()));
+    });
+  });
+  if (root.documentElement) {
+    root.documentElement.lang = getLocale();
+  }
+}
@@ -0,0 +1,210 @@
+// en.mjs - Catálogo de mensajes en inglés
+export default {
+  meta: { name: 'English', locale: 'en-US' },
+  messages: {
+    'app.title': 'Unit converter',
+    'app.language': 'language',
+    'converter.category': 'quantity',
+    'converter.input': 'value',
+    'converter.inputHint': 'e.g. 20, 98.6F, 300 K - 20 C, 5 km + 300 m, avg(20C, 25C)',
+    'converter.from': 'from',
+    'converter.to': 'to',
+    'converter.precision': 'decimals',
+    'converter.swap': 'swap units',
+    'converter.allScales': 'all units',
+    'converter.mode': 'mode',
+    'converter.modes.absolute': 'temperature',
+    'converter.modes.interval': 'difference (Δ)',
+    'categories.temperature': 'temperature',
+    'categories.length': 'length',
+    'categories.mass': 'mass',
+    'categories.volume': 'volume',
+    'categories.speed': 'speed',
+    'categories.pressure': 'pressure',
+    'units.m': 'meter',
+    'units.km': 'kilometer',
+    'units.cm': 'centimeter',
+    'units.mm': 'millimeter',
+    'units.mi': 'mile',
+    'units.yd': 'yard',
+    'units.ft': 'foot',
+    'units.in': 'inch',
+    'units.nmi': 'nautical mile',
+    'units.kg': 'kilogram',
+    'units.g': 'gram',
+    'units.mg': 'milligram',
+    'units.t': 'tonne',
+    'units.lb': 'pound',
+    'units.oz': 'ounce',
+    'units.st': 'stone',
+    'units.l': 'liter',
+    'units.ml': 'milliliter',
+    'units.m3': 'cubic meter',
+    'units.gal': 'gallon (US)',
+    'units.qt': 'quart (US)',
+    'units.pt': 'pint (US)',
+    'units.cup': 'cup (US)',
+    'units.floz': 'fluid ounce (US)',
+    'units.mps': 'meter per second',
+    'units.kmh': 'kilometer per hour',
+    'units.mph': 'mile per hour',
+    'units.kn': 'knot',
+    'units.fps': 'foot per second',
+    'units.pa': 'pascal',
+    'units.hpa': 'hectopascal',
+    'units.kpa': 'kilopascal',
+    'units.bar': 'bar',
+    'units.atm': 'atmosphere',
+    'units.psi': 'pound per square inch',
+    'units.mmhg': 'millimeter of mercury',
+    'errors.INVALID_NUMBER': '"{input}" is not a valid number',
+    'errors.NON_FINITE': 'The value is too large',
+    'errors.INVALID_UNIT': 'Invalid unit: {unit}',
+    'errors.BELOW_ABSOLUTE_ZERO': 'Below absolute zero ({minimum})',
+    'errors.INVALID_MODE': 'Invalid conversion mode: {mode}',
+    'errors.INVALID_CATEGORY': 'Invalid category: {category}',
+    'errors.NEGATIVE_VALUE': 'The value cannot be negative',
+    'errors.INVALID_EXPRESSION': 'Invalid expression at position {position}: {reason}',
+    'expression.errors.TOO_LONG': 'the expression is too long',
+    'expression.errors.UNEXPECTED_CHARACTER': 'character not allowed',
+    'expression.errors.UNEXPECTED_TOKEN': 'unexpected element',
+    'expression.errors.UNEXPECTED_END': 'the expression is incomplete',
+    'expression.errors.UNKNOWN_UNIT': 'unknown unit',
+    'expression.errors.UNKNOWN_FUNCTION': 'unknown function (use avg, min or max)',
+    'history.show': 'Show history',
+    'history.clear': 'Clear history',
+    'history.title': 'Conversion history',
+    'history.empty': 'No saved conversions',
+    'history.cleared': '✓ History cleared',
+    'history.confirmClear': 'Are you sure you want to delete the whole history?',
+    'history.count': '×{count}',
+    'history.search': 'Search history',
+    'history.category': 'quantity',
+    'history.anyCategory': 'Any',
+    'history.fromUnit': 'from',
+    'history.toUnit': 'to',
+    'history.anyUnit': 'Any',
+    'history.dateFrom': 'since',
+    'history.dateTo': 'until',
+    'history.minValue': 'minimum value',
+    'history.maxValue': 'maximum value',
+    'history.loadMore': 'Load more',
+    'history.delete': 'Delete conversion',
+    'history.entry': '{value} → {result} ({date})',
+    'history.expression': '{expression} = {value}',
+    'stats.show': 'Show Statistics',
+    'stats.title': 'Statistics',
+    'stats.total': '{total} conversions in total',
+    'stats.pairs': 'Most used unit pairs',
+    'stats.pair': '{from} → {to}: {count}',
+    'stats.perDay': 'Conversions per day',
+    'stats.day': 'day',
+    'stats.count': 'conversions',
+    'stats.byScale': 'Input values by unit',
+    'stats.scale': 'unit',
+    'stats.min': 'minimum',
+    'stats.max': 'maximum',
+    'stats.average': 'average',
+    'stats.chart': 'Values over time',
+    'stats.chartUnit': 'expressed in',
+    'batch.show': 'Batch conversion',
+    'batch.title': 'Batch conversion',
+    'batch.privacy': 'Data is processed on this device and never sent to any server.',
+    'batch.input': 'one value per line or CSV',
+    'batch.file': 'or load a CSV file',
+    'batch.header': 'first row is a header',
+    'batch.column': 'column',
+    'batch.columnN': 'Column {number}',
+    'batch.convert': 'Convert',
+    'batch.row': 'row',
+    'batch.value': 'value',
+    'batch.result': 'result',
+    'batch.error': 'error',
+    'batch.download': 'Download CSV',
+    'batch.empty': 'There are no values to convert',
+    'batch.summary': '{converted} values converted and {failed} with errors',
+    'batch.previewLimit': 'Showing the first {shown} of {total} rows',
+    'batch.errors.TOO_MANY_ROWS': 'Too many rows ({rows}); the maximum is {limit}',
+    'batch.errors.INVALID_CSV': 'Invalid CSV: {error}',
+    'table.show': 'Reference table',
+    'table.title': 'Reference table',
+    'table.from': 'from',
+    'table.to': 'to',
+    'table.step': 'step',
+    'table.source': 'source scale',
+    'table.targets': 'target scales',
+    'table.generate': 'Generate table',
+    'table.presets': 'saved tables',
+    'table.noPreset': '—',
+    'table.presetName': 'name',
+    'table.savePreset': 'Save table',
+    'table.deletePreset': 'Delete',
+    'table.print': 'Print',
+    'table.downloadCsv': 'Download CSV',
+    'table.downloadJson': 'Download JSON',
+    'table.caption': 'From {from} to {to} in steps of {step}',
+    'table.errors.INVALID_NUMBER': 'Enter a number',
+    'table.errors.INVALID_UNIT': 'Invalid scale',
+    'table.errors.STEP_NOT_POSITIVE': 'The step must be greater than zero',
+    'table.errors.RANGE_REVERSED': 'Must be greater than or equal to the start',
+    'table.errors.BELOW_ABSOLUTE_ZERO': 'Below absolute zero',
+    'table.errors.TOO_MANY_ROWS': 'The table would have more than {limit} rows',
+    'table.errors.NO_TARGETS': 'Choose at least one scale',
+    'transfer.exportJson': 'Export JSON',
+    'transfer.exportCsv': 'Export CSV',
+    'transfer.import': 'Import',
+    'transfer.exportFailed': 'The data could not be exported',
+    'transfer.importFailed': 'The data could not be imported',
+    'transfer.report': 'Import: {added} new conversions, {updated} updated, {duplicates} duplicates, {rejected} records rejected and {preferences} preferences applied',
+    'transfer.rejectedEntry': '{type} {number}: {reason}',
+    'transfer.conversion': 'Conversion',
+    'transfer.preference': 'Preference',
+    'transfer.reasons.INVALID_VALUE': 'invalid value',
+    'transfer.reasons.INVALID_UNIT': 'invalid unit',
+    'transfer.reasons.INVALID_MODE': 'invalid mode',
+    'transfer.reasons.INVALID_CATEGORY': 'invalid quantity',
+    'transfer.reasons.INVALID_TIMESTAMP': 'invalid date',
+    'transfer.reasons.INVALID_COUNT': 'invalid repeat count',
+    'transfer.reasons.INVALID_KEY': 'unknown or device-local preference',
+    'transfer.reasons.OUT_OF_RANGE': 'out of the allowed range',
+    'transfer.errors.EMPTY_FILE': 'The file is empty',
+    'transfer.errors.INVALID_JSON': 'The file is not valid JSON',
+    'transfer.errors.INVALID_CSV': 'Invalid CSV: {error}',
+    'transfer.errors.UNKNOWN_FORMAT': 'The file is not an export from this converter',
+    'transfer.errors.UNSUPPORTED_VERSION': 'The file version is not supported',
+    'transfer.errors.INVALID_SCHEMA': 'The file content does not have the expected format',
+    'sync.status': 'Sync: {pending} pending, {failed} failed',
+    'update.available': 'New version available: {version}',
+    'update.availableUnknown': 'A new version is available',
+    'update.changedFiles': '{count} files updated',
+    'update.now': 'Update now',
+    'update.later': 'Later',
+    'update.updating': 'Updating…',
+    'offline.title': 'Offline',
+    'offline.heading': '📡 Offline',
+    'offline.message': 'There is no internet connection. The converter still works.',
+    'offline.retry': 'Retry',
+    'offline.indicator': 'Offline: changes are saved on this device',
+    'offline.unreachable': 'The server is not responding',
+    'offline.reconnected': 'Back online, reloading…',
+    'offline.history': 'History stored on this device',
+    'contact.title': 'Contact form',
+    'contact.name': 'Name:',
+    'contact.email': 'Email:',
+    'contact.message': 'Message:',
+    'contact.submit': 'Send',
+    'contact.submissions': 'Your messages',
+    'contact.submitted': 'Message sent',
+    'contact.queued': 'The message is queued and will be sent as soon as possible',
+    'contact.sendFailed': 'The message could not be sent; you can retry it from the list',
+    'contact.submitFailed': 'The message could not be saved',
+    'contact.retry': 'Retry',
+    'contact.status.queued': 'Queued',
+    'contact.status.sent': 'Sent',
+    'contact.status.failed': 'Failed',
+    'contact.errors.REQUIRED': 'This field is required',
+    'contact.errors.TOO_SHORT': 'Enter at least {limit} characters',
+    'contact.errors.TOO_LONG': 'At most {limit} characters',
+    'contact.errors.INVALID_EMAIL': 'Invalid email address'
+  }
+};
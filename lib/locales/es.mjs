@@ -0,0 +1,210 @@
+// es.mjs - Catálogo de mensajes en español
+export default {
+  meta: { name: 'Español', locale: 'es-MX' },
+  messages: {
+    'app.title': 'Conversor de unidades',
+    'app.language': 'idioma',
+    'converter.category': 'magnitud',
+    'converter.input': 'valor',
+    'converter.inputHint': 'p. ej. 20, 98.6F, 300 K - 20 C, 5 km + 300 m, avg(20C, 25C)',
+    'converter.from': 'de',
+    'converter.to': 'a',
+    'converter.precision': 'decimales',
+    'converter.swap': 'intercambiar unidades',
+    'converter.allScales': 'todas las unidades',
+    'converter.mode': 'modo',
+    'converter.modes.absolute': 'temperatura',
+    'converter.modes.interval': 'diferencia (Δ)',
+    'categories.temperature': 'temperatura',
+    'categories.length': 'longitud',
+    'categories.mass': 'masa',
+    'categories.volume': 'volumen',
+    'categories.speed': 'velocidad',
+    'categories.pressure': 'presión',
+    'units.m': 'metro',
+    'units.km': 'kilómetro',
+    'units.cm': 'centímetro',
+    'units.mm': 'milímetro',
+    'units.mi': 'milla',
+    'units.yd': 'yarda',
+    'units.ft': 'pie',
+    'units.in': 'pulgada',
+    'units.nmi': 'milla náutica',
+    'units.kg': 'kilogramo',
+    'units.g': 'gramo',
+    'units.mg': 'miligramo',
+    'units.t': 'tonelada',
+    'units.lb': 'libra',
+    'units.oz': 'onza',
+    'units.st': 'stone',
+    'units.l': 'litro',
+    'units.ml': 'mililitro',
+    'units.m3': 'metro cúbico',
+    'units.gal': 'galón (EE. UU.)',
+    'units.qt': 'cuarto (EE. UU.)',
+    'units.pt': 'pinta (EE. UU.)',
+    'units.cup': 'taza (EE. UU.)',
+    'units.floz': 'onza líquida (EE. UU.)',
+    'units.mps': 'metro por segundo',
+    'units.kmh': 'kilómetro por hora',
+    'units.mph': 'milla por hora',
+    'units.kn': 'nudo',
+    'units.fps': 'pie por segundo',
+    'units.pa': 'pascal',
+    'units.hpa': 'hectopascal',
+    'units.kpa': 'kilopascal',
+    'units.bar': 'bar',
+    'units.atm': 'atmósfera',
+    'units.psi': 'libra por pulgada cuadrada',
+    'units.mmhg': 'milímetro de mercurio',
+    'errors.INVALID_NUMBER': '"{input}" no es un número válido',
+    'errors.NON_FINITE': 'El valor es demasiado grande',
+    'errors.INVALID_UNIT': 'Unidad no válida: {unit}',
+    'errors.BELOW_ABSOLUTE_ZERO': 'Por debajo del cero absoluto ({minimum})',
+    'errors.INVALID_MODE': 'Modo de conversión no válido: {mode}',
+    'errors.INVALID_CATEGORY': 'Categoría no válida: {category}',
+    'errors.NEGATIVE_VALUE': 'El valor no puede ser negativo',
+    'errors.INVALID_EXPRESSION': 'Expresión no válida en la posición {position}: {reason}',
+    'expression.errors.TOO_LONG': 'la expresión es demasiado larga',
+    'expression.errors.UNEXPECTED_CHARACTER': 'carácter no permitido',
+    'expression.errors.UNEXPECTED_TOKEN': 'no se esperaba este elemento',
+    'expression.errors.UNEXPECTED_END': 'la expresión está incompleta',
+    'expression.errors.UNKNOWN_UNIT': 'unidad desconocida',
+    'expression.errors.UNKNOWN_FUNCTION': 'función desconocida (usa avg, min o max)',
+    'history.show': 'Ver Historial',
+    'history.clear': 'Limpiar Historial',
+    'history.title': 'Historial de Conversiones',
+    'history.empty': 'No hay conversiones guardadas',
+    'history.cleared': '✓ Historial eliminado',
+    'history.confirmClear': '¿Seguro que deseas eliminar todo el historial?',
+    'history.count': '×{count}',
+    'history.search': 'Buscar en el historial',
+    'history.category': 'magnitud',
+    'history.anyCategory': 'Cualquiera',
+    'history.fromUnit': 'de',
+    'history.toUnit': 'a',
+    'history.anyUnit': 'Cualquiera',
+    'history.dateFrom': 'desde',
+    'history.dateTo': 'hasta',
+    'history.minValue': 'valor mínimo',
+    'history.maxValue': 'valor máximo',
+    'history.loadMore': 'Cargar más',
+    'history.delete': 'Eliminar conversión',
+    'history.entry': '{value} → {result} ({date})',
+    'history.expression': '{expression} = {value}',
+    'stats.show': 'Ver Estadísticas',
+    'stats.title': 'Estadísticas',
+    'stats.total': '{total} conversiones en total',
+    'stats.pairs': 'Pares de unidades más usados',
+    'stats.pair': '{from} → {to}: {count}',
+    'stats.perDay': 'Conversiones por día',
+    'stats.day': 'día',
+    'stats.count': 'conversiones',
+    'stats.byScale': 'Valores de entrada por unidad',
+    'stats.scale': 'unidad',
+    'stats.min': 'mínimo',
+    'stats.max': 'máximo',
+    'stats.average': 'promedio',
+    'stats.chart': 'Valores en el tiempo',
+    'stats.chartUnit': 'expresados en',
+    'batch.show': 'Conversión por lotes',
+    'batch.title': 'Conversión por lotes',
+    'batch.privacy': 'Los datos se procesan en este dispositivo y no se envían a ningún servidor.',
+    'batch.input': 'un valor por línea o CSV',
+    'batch.file': 'o carga un archivo CSV',
+    'batch.header': 'la primera fila es encabezado',
+    'batch.column': 'columna',
+    'batch.columnN': 'Columna {number}',
+    'batch.convert': 'Convertir',
+    'batch.row': 'fila',
+    'batch.value': 'valor',
+    'batch.result': 'resultado',
+    'batch.error': 'error',
+    'batch.download': 'Descargar CSV',
+    'batch.empty': 'No hay valores para convertir',
+    'batch.summary': '{converted} valores convertidos y {failed} con errores',
+    'batch.previewLimit': 'Se muestran las primeras {shown} filas de {total}',
+    'batch.errors.TOO_MANY_ROWS': 'Demasiadas filas ({rows}); el máximo es {limit}',
+    'batch.errors.INVALID_CSV': 'CSV no válido: {error}',
+    'table.show': 'Tabla de referencia',
+    'table.title': 'Tabla de referencia',
+    'table.from': 'desde',
+    'table.to': 'hasta',
+    'table.step': 'paso',
+    'table.source': 'escala de origen',
+    'table.targets': 'escalas de destino',
+    'table.generate': 'Generar tabla',
+    'table.presets': 'tablas guardadas',
+    'table.noPreset': '—',
+    'table.presetName': 'nombre',
+    'table.savePreset': 'Guardar tabla',
+    'table.deletePreset': 'Eliminar',
+    'table.print': 'Imprimir',
+    'table.downloadCsv': 'Descargar CSV',
+    'table.downloadJson': 'Descargar JSON',
+    'table.caption': 'De {from} a {to} en pasos de {step}',
+    'table.errors.INVALID_NUMBER': 'Escribe un número',
+    'table.errors.INVALID_UNIT': 'Escala no válida',
+    'table.errors.STEP_NOT_POSITIVE': 'El paso debe ser mayor que cero',
+    'table.errors.RANGE_REVERSED': 'Debe ser mayor o igual que el inicio',
+    'table.errors.BELOW_ABSOLUTE_ZERO': 'Por debajo del cero absoluto',
+    'table.errors.TOO_MANY_ROWS': 'La tabla tendría más de {limit} filas',
+    'table.errors.NO_TARGETS': 'Elige al menos una escala',
+    'transfer.exportJson': 'Exportar JSON',
+    'transfer.exportCsv': 'Exportar CSV',
+    'transfer.import': 'Importar',
+    'transfer.exportFailed': 'No se pudieron exportar los datos',
+    'transfer.importFailed': 'No se pudieron importar los datos',
+    'transfer.report': 'Importación: {added} conversiones nuevas, {updated} actualizadas, {duplicates} duplicadas, {rejected} registros rechazados y {preferences} preferencias aplicadas',
+    'transfer.rejectedEntry': '{type} {number}: {reason}',
+    'transfer.conversion': 'Conversión',
+    'transfer.preference': 'Preferencia',
+    'transfer.reasons.INVALID_VALUE': 'valor no válido',
+    'transfer.reasons.INVALID_UNIT': 'unidad no válida',
+    'transfer.reasons.INVALID_MODE': 'modo no válido',
+    'transfer.reasons.INVALID_CATEGORY': 'magnitud no válida',
+    'transfer.reasons.INVALID_TIMESTAMP': 'fecha no válida',
+    'transfer.reasons.INVALID_COUNT': 'número de repeticiones no válido',
+    'transfer.reasons.INVALID_KEY': 'preferencia desconocida o local',
+    'transfer.reasons.OUT_OF_RANGE': 'fuera del rango permitido',
+    'transfer.errors.EMPTY_FILE': 'El archivo está vacío',
+    'transfer.errors.INVALID_JSON': 'El archivo no es JSON válido',
+    'transfer.errors.INVALID_CSV': 'CSV no válido: {error}',
+    'transfer.errors.UNKNOWN_FORMAT': 'El archivo no es una exportación de este conversor',
+    'transfer.errors.UNSUPPORTED_VERSION': 'La versión del archivo no es compatible',
+    'transfer.errors.INVALID_SCHEMA': 'El contenido del archivo no tiene el formato esperado',
+    'sync.status': 'Sincronización: {pending} pendientes, {failed} con error',
+    'update.available': 'Nueva versión disponible: {version}',
+    'update.availableUnknown': 'Hay una nueva versión disponible',
+    'update.changedFiles': '{count} archivos actualizados',
+    'update.now': 'Actualizar ahora',
+    'update.later': 'Más tarde',
+    'update.updating': 'Actualizando…',
+    'offline.title': 'Sin conexión',
+    'offline.heading': '📡 Sin Conexión',
+    'offline.message': 'No hay conexión a internet. El conversor sigue funcionando.',
+    'offline.retry': 'Reintentar',
+    'offline.indicator': 'Sin conexión: los cambios se guardan en este dispositivo',
+    'offline.unreachable': 'El servidor no responde',
+    'offline.reconnected': 'Conexión recuperada, recargando…',
+    'offline.history': 'Historial guardado en este dispositivo',
+    'contact.title': 'Formulario de contacto',
+    'contact.name': 'Nombre:',
+    'contact.email': 'Correo electrónico:',
+    'contact.message': 'Mensaje:',
+    'contact.submit': 'Enviar',
+    'contact.submissions': 'Tus mensajes',
+    'contact.submitted': 'Mensaje enviado',
+    'contact.queued': 'El mensaje quedó en cola: se enviará en cuanto sea posible',
+    'contact.sendFailed': 'No se pudo enviar el mensaje; puedes reintentarlo desde la lista',
+    'contact.submitFailed': 'No se pudo guardar el mensaje',
+    'contact.retry': 'Reintentar',
+    'contact.status.queued': 'En cola',
+    'contact.status.sent': 'Enviado',
+    'contact.status.failed': 'Falló',
+    'contact.errors.REQUIRED': 'Este campo es obligatorio',
+    'contact.errors.TOO_SHORT': 'Escribe al menos {limit} caracteres',
+    'contact.errors.TOO_LONG': 'Máximo {limit} caracteres',
+    'contact.errors.INVALID_EMAIL': 'Correo electrónico no válido'
+  }
+};
@@ -0,0 +1,154 @@
+// messages.mjs - Mensajes de datos que atienden los Service Workers
+// Cada worker agrega sus propios mensajes (SKIP_WAITING, CLEAR_CACHE, ...)
+// y delega aquí los que tocan IndexedDB o la sincronización. El despacho y
+// las respuestas los hace handleRpcMessage (lib/rpc.mjs).
+import { EXPORT_FORMAT, createJsonExport, conversionsToCsv, parseImport, DataFormatError } from './data-transfer.mjs';
+import { SUBMISSION_STATUS, validateContact, retrySubmission } from './contact.mjs';
+
+// Archivos generados por EXPORT_DATA según el formato pedido
+const EXPORT_FILES = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * @param {Object} options
+ * @param {ReturnType<import('./repository.mjs').createRepository>} options.repository
+ * @param {ReturnType<import('./sync-service.mjs').createSyncService>} options.syncService
+ * @param {() => Promise<void>} options.requestSync registra una sincronización en segundo plano
+ * @param {string} [options.logPrefix]
+ */
+export function createDataMessageHandlers({ repository, syncService, requestSync, logPrefix = '[SW]' }) {
+  return {
+    async SAVE_CONVERSION(data) {
+      await repository.saveConversion(data);
+      await requestSync();
+      return { success: true };
+    },
+
+    async SAVE_PREFERENCE(data) {
+      await repository.savePreference(data);
+      await requestSync();
+      return { success: true };
+    },
+
+    // data: consulta de lib/history-query.mjs (limit, cursor y filtros)
+    async GET_CONVERSIONS(data) {
+      const { conversions, nextCursor } = await repository.queryConversions(data);
+      return { conversions, nextCursor };
+    },
+
+    async DELETE_CONVERSION(data) {
+      const deleted = await repository.deleteConversion(data?.id);
+      if (deleted) {
+        await requestSync();
+      }
+      return { success: deleted };
+    },
+
+    async GET_PREFERENCES() {
+      const preferences = await repository.getPreferences();
+      return { preferences };
+    },
+
+    // data: { format: 'json' | 'csv' } → { success, filename, mimeType, content }
+    async EXPORT_DATA(data) {
+      const format = data?.format ?? 'json';
+      const file = EXPORT_FILES[format];
+      if (!file) {
+        return { success: false, error: `Formato de exportación desconocido: ${format}` };
+      }
+
+      const conversions = (await repository.getAllConversions()).sort((a, b) => a.timestamp - b.timestamp);
+      const content = format === 'csv'
+        ? conversionsToCsv(conversions)
+        : JSON.stringify(createJsonExport({ conversions, preferences: await repository.getPreferenceRecords() }), null, 2);
+      const date = new Date().toISOString().slice(0, 10);
+
+      return {
+        success: true,
+        filename: `${EXPORT_FORMAT}-${date}.${file.extension}`,
+        mimeType: file.mimeType,
+        content
+      };
+    },
+
+    // data: { content } texto del archivo → { success, report } o { success: false, code, error }
+    async IMPORT_DATA(data) {
+      try {
+        const report = await repository.importData(parseImport(data?.content));
+        await requestSync();
+        return { success: true, report };
+      } catch (error) {
+        if (!(error instanceof DataFormatError)) throw error;
+        return { success: false, code: error.code, error: error.message };
+      }
+    },
+
+    // data: { nombre, email, mensaje } → { success, submission } o { success: false, errors }
+    async SUBMIT_CONTACT(data) {
+      const { values, errors, valid } = validateContact(data);
+      if (!valid) {
+        return { success: false, errors };
+      }
+
+      const saved = await repository.saveContactSubmission(values);
+      // Con conexión se entrega ya; sin ella queda en cola para el evento sync
+      if (globalThis.navigator?.onLine !== false) {
+        await syncService.processContactSubmissions().catch(error => {
+          console.warn(`${logPrefix} Envío de contacto pendiente:`, error.message);
+        });
+      }
+      // Estado tras el intento de entrega: 'sent', 'queued' o 'failed'
+      const submissions = await repository.getContactSubmissions();
+      const submission = submissions.find(item => item.id === saved.id) ?? saved;
+      if (submission.status === SUBMISSION_STATUS.QUEUED) {
+        await requestSync();
+      }
+      return { success: true, submission };
+    },
+
+    async GET_CONTACT_SUBMISSIONS() {
+      const submissions = await repository.getContactSubmissions();
+      return { submissions };
+    },
+
+    async RETRY_CONTACT(data) {
+      const submissions = await repository.getContactSubmissions();
+      const submission = submissions.find(item => item.id === data?.id && item.status === SUBMISSION_STATUS.FAILED);
+      if (!submission) {
+        return { success: false };
+      }
+      await repository.putContactSubmissions([retrySubmission(submission)]);
+      await requestSync();
+      return { success: true };
+    },
+
+    async CLEAR_HISTORY() {
+      await repository.clearHistory();
+      await requestSync();
+      return { success: true };
+    },
+
+    async FORCE_SYNC() {
+      try {
+        await syncService.runSync();
+        return { success: true };
+      } catch (error) {
+        console.error(`${logPrefix} Error sincronizando:`, error);
+        return { success: false, error: error.message };
+      }
+    },
+
+    // Espera a que terminen las escrituras en curso (antes de cambiar de worker)
+    async FLUSH_WRITES() {
+      await repository.flush();
+      return { success: true };
+    },
+
+    async GET_SYNC_STATUS() {
+      const status = await syncService.getStatus();
+      return { status };
+    }
+  };
+}
@@ -0,0 +1,223 @@
+// migrations.mjs - Migraciones versionadas de temperature-sync-db
+//
+// Cada migración lleva a la base de datos de `version - 1` a `version` y se
+// ejecuta dentro de la transacción de `onupgradeneeded`, en orden. Puede crear
+// stores e índices y transformar los registros existentes; si algo falla la
+// transacción se aborta y la base de datos queda en la versión anterior.
+//
+// Para cambiar el esquema: agregar una entrada al final de MIGRATIONS. Nunca
+// modificar una migración ya publicada.
+import { MODES, convertTemp } from './temperature.mjs';
+import { hasUnit, convertUnit } from './units.mjs';
+
+export const STORES = {
+  CONVERSIONS: 'conversions',
+  PREFERENCES: 'preferences',
+  SYNC_QUEUE: 'sync-queue',
+  CONTACT: 'contact-submissions'
+};
+
+// Recorre un store con un cursor y guarda lo que devuelva `transform`
+// (si devuelve undefined el registro no se toca; si devuelve null se elimina)
+export function updateRecords(store, transform) {
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const updated = transform(cursor.value);
+      if (updated === null) {
+        cursor.delete();
+      } else if (updated !== undefined) {
+        cursor.update(updated);
+      }
+      cursor.continue();
+    };
+  });
+}
+
+function numericResult({ value, fromUnit, toUnit }) {
+  try {
+    const result = convertTemp(Number(value), fromUnit, toUnit);
+    return Number.isFinite(result) ? result : null;
+  } catch {
+    return null;
+  }
+}
+
+// Conversión antigua con el valor como número, o null si no se puede
+// interpretar (valor no numérico o unidades desconocidas en su categoría)
+function readableConversion(conversion) {
+  const value = typeof conversion.value === 'string' && conversion.value.trim() !== '' ? Number(conversion.value) : conversion.value;
+  const { category, fromUnit, toUnit, mode } = conversion;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  if (!hasUnit(category, fromUnit) || !hasUnit(category, toUnit)) return null;
+
+  try {
+    const resultValue = Number.isFinite(conversion.resultValue)
+      ? conversion.resultValue
+      : convertUnit(value, fromUnit, toUnit, { category, mode });
+    return Number.isFinite(resultValue) ? { ...conversion, value, resultValue } : null;
+  } catch {
+    return null;
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Stores de conversiones, preferencias y cola de sincronización',
+    migrate({ db }) {
+      // Store para historial de conversiones
+      if (!db.objectStoreNames.contains(STORES.CONVERSIONS)) {
+        const conversionStore = db.createObjectStore(STORES.CONVERSIONS, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        conversionStore.createIndex('timestamp', 'timestamp', { unique: false });
+        conversionStore.createIndex('synced', 'synced', { unique: false });
+      }
+
+      // Store para preferencias del usuario
+      if (!db.objectStoreNames.contains(STORES.PREFERENCES)) {
+        db.createObjectStore(STORES.PREFERENCES, { keyPath: 'key' });
+      }
+
+      // Store para cola de sincronización
+      if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
+        db.createObjectStore(STORES.SYNC_QUEUE, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Resultado numérico, uuid, synced como 0/1 e índice por fromUnit',
+    migrate({ transaction, createId }) {
+      const store = transaction.objectStore(STORES.CONVERSIONS);
+      store.createIndex('fromUnit', 'fromUnit', { unique: false });
+
+      // Los booleanos no son claves válidas de IndexedDB: el índice 'synced'
+      // solo funciona si el valor es numérico
+      return updateRecords(store, conversion => ({
+        ...conversion,
+        uuid: conversion.uuid ?? createId(),
+        resultValue: conversion.resultValue ?? numericResult(conversion),
+        synced: conversion.synced ? 1 : 0
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Contador de repeticiones en cada conversión',
+    migrate({ transaction }) {
+      const store = transaction.objectStore(STORES.CONVERSIONS);
+      return updateRecords(store, conversion => ({ ...conversion, count: conversion.count ?? 1 }));
+    }
+  },
+  {
+    version: 4,
+    description: 'Store de envíos del formulario de contacto',
+    migrate({ db }) {
+      const store = db.createObjectStore(STORES.CONTACT, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('status', 'status', { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: 'Modo de conversión (temperatura o intervalo) en cada conversión',
+    migrate({ transaction }) {
+      const store = transaction.objectStore(STORES.CONVERSIONS);
+      return updateRecords(store, conversion => ({ ...conversion, mode: conversion.mode ?? MODES.ABSOLUTE }));
+    }
+  },
+  {
+    version: 6,
+    description: 'Categoría (magnitud) de cada conversión; las anteriores son de temperatura',
+    migrate({ transaction }) {
+      const store = transaction.objectStore(STORES.CONVERSIONS);
+      return updateRecords(store, conversion => ({ ...conversion, category: conversion.category ?? 'temperature' }));
+    }
+  },
+  {
+    version: 7,
+    description: 'Elimina las conversiones antiguas que no se pueden interpretar',
+    migrate({ transaction }) {
+      // Registros de la v1 con un valor no numérico o una escala desconocida:
+      // las migraciones anteriores los conservaron tal cual
+      const store = transaction.objectStore(STORES.CONVERSIONS);
+      return updateRecords(store, conversion => {
+        const readable = readableConversion(conversion);
+        if (!readable) {
+          console.warn('[DB] Conversión descartada por no poder interpretarse:', conversion);
+        }
+        return readable;
+      });
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Ejecuta en orden las migraciones con oldVersion < version <= newVersion.
+ * @param {Object} context
+ * @param {IDBDatabase} context.db
+ * @param {IDBTransaction} context.transaction transacción versionchange
+ * @param {number} context.oldVersion
+ * @param {number} context.newVersion
+ * @param {() => string} context.createId
+ */
+export async function runMigrations({ db, transaction, oldVersion, newVersion, createId, migrations = MIGRATIONS }) {
+  const pending = migrations
+    .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    console.log(`[DB] Migración ${migration.version}: ${migration.description}`);
+    await migration.migrate({ db, transaction, createId });
+  }
+}
+
+/**
+ * Abre la base de datos aplicando las migraciones hasta `version`.
+ * Permite crear bases de datos de prueba en versiones antiguas.
+ * @param {IDBFactory} indexedDB
+ * @param {string} name
+ * @param {number} [version]
+ * @param {Object} [options]
+ * @param {() => string} [options.createId]
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openMigratedDatabase(indexedDB, name, version = LATEST_VERSION, { createId = () => crypto.randomUUID(), migrations = MIGRATIONS } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    let migrationError = null;
+
+    request.onupgradeneeded = (event) => {
+      const transaction = request.transaction;
+      runMigrations({
+        db: request.result,
+        transaction,
+        oldVersion: event.oldVersion,
+        newVersion: event.newVersion,
+        createId,
+        migrations
+      }).catch(error => {
+        migrationError = error;
+        transaction.abort();
+      });
+    };
+    request.onblocked = () => {
+      console.warn(`[DB] Actualización de ${name} a v${version} bloqueada por otra conexión abierta`);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(migrationError ?? request.error);
+  });
+}
@@ -0,0 +1,68 @@
+// number-format.mjs - Lectura y formato de números según la configuración regional
+import { unitSymbol } from './temperature.mjs';
+import { quantitySymbol } from './units.mjs';
+import { InvalidNumberError } from './errors.mjs';
+import { parseNumber } from './validation.mjs';
+
+export const DEFAULT_PRECISION = 2;
+export const MAX_PRECISION = 6;
+
+export function getSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find(part => part.type === 'group')?.value ?? ',',
+    decimal: parts.find(part => part.type === 'decimal')?.value ?? '.'
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Interpreta "20,5", "1.234,5" o "1,234.5" según el locale.
+// Si el separador de miles aparece una sola vez y no forma grupos de tres
+// dígitos se toma como decimal, para aceptar "20,5" aunque el locale use punto.
+export function parseLocaleNumber(input, locale) {
+  const { group, decimal } = getSeparators(locale);
+  let text = String(input).trim().replace(/−/g, '-').replace(/\s/g, '');
+
+  if (text.includes(group)) {
+    const grouped = new RegExp(`^[+-]?\\d{1,3}(${escapeRegExp(group)}\\d{3})+(${escapeRegExp(decimal)}\\d*)?$`);
+    if (grouped.test(text)) {
+      text = text.split(group).join('');
+    } else if (!text.includes(decimal) && text.split(group).length === 2) {
+      text = text.replace(group, decimal);
+    } else {
+      throw new InvalidNumberError(input);
+    }
+  }
+
+  try {
+    return parseNumber(text.replace(decimal, '.'));
+  } catch {
+    throw new InvalidNumberError(input);
+  }
+}
+
+export function normalizePrecision(precision) {
+  const digits = Number.parseInt(precision, 10);
+  if (Number.isNaN(digits)) return DEFAULT_PRECISION;
+  return Math.min(Math.max(digits, 0), MAX_PRECISION);
+}
+
+export function formatNumber(value, { locale, precision = DEFAULT_PRECISION } = {}) {
+  const digits = normalizePrecision(precision);
+  // Evitar "-0" cuando el redondeo deja el valor en cero
+  const rounded = Number(value.toFixed(digits)) || 0;
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: digits }).format(rounded);
+}
+
+// options.mode = 'interval' muestra el símbolo con Δ
+export function formatTemperature(value, unit, options = {}) {
+  return `${formatNumber(value, options)} ${unitSymbol(unit, options.mode)}`;
+}
+
+// Igual que formatTemperature, para cualquier unidad de lib/units.mjs
+export function formatQuantity(value, unit, options = {}) {
+  return `${formatNumber(value, options)} ${quantitySymbol(unit, options.mode)}`;
+}
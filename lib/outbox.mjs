@@ -0,0 +1,93 @@
+// outbox.mjs - Cola persistente de operaciones pendientes de sincronizar
+// Cada mutación local se guarda en el store `sync-queue` como una operación.
+// El evento `sync` la vacía en orden; una operación que falla bloquea a las
+// siguientes hasta su próximo intento, y tras MAX_ATTEMPTS pasa a 'dead'.
+
+export const OPERATIONS = {
+  SAVE_CONVERSION: 'conversion.save',
+  DELETE_CONVERSION: 'conversion.delete',
+  SAVE_PREFERENCE: 'preference.save',
+  CLEAR_HISTORY: 'history.clear'
+};
+
+export const STATUS = {
+  PENDING: 'pending',
+  DEAD: 'dead'
+};
+
+export const MAX_ATTEMPTS = 5;
+export const BASE_DELAY_MS = 30 * 1000;
+export const MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Operaciones del mismo tipo que pueden viajar en una sola petición
+const BATCHABLE = [OPERATIONS.SAVE_CONVERSION, OPERATIONS.DELETE_CONVERSION, OPERATIONS.SAVE_PREFERENCE];
+
+export function createOperation(type, payload, now = Date.now()) {
+  return {
+    type,
+    payload,
+    status: STATUS.PENDING,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: null
+  };
+}
+
+// 30 s, 1 min, 2 min, ... hasta MAX_DELAY_MS
+export function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+export function recordFailure(operation, error, now = Date.now()) {
+  const attempts = operation.attempts + 1;
+  const dead = attempts >= MAX_ATTEMPTS;
+  return {
+    ...operation,
+    attempts,
+    status: dead ? STATUS.DEAD : STATUS.PENDING,
+    nextAttemptAt: dead ? null : now + backoffDelay(attempts),
+    lastError: error?.message ?? String(error)
+  };
+}
+
+export function sortOperations(operations) {
+  return [...operations].sort((a, b) => a.id - b.id);
+}
+
+// Siguiente grupo de operaciones a enviar: las pendientes del principio
+// de la cola con el mismo tipo. `ready` es false si aún no toca reintentar.
+export function nextBatch(operations, now = Date.now()) {
+  const pending = sortOperations(operations).filter(operation => operation.status === STATUS.PENDING);
+  if (pending.length === 0) {
+    return { ready: false, operations: [] };
+  }
+
+  const [head] = pending;
+  if (head.nextAttemptAt > now) {
+    return { ready: false, operations: [], retryAt: head.nextAttemptAt };
+  }
+
+  const batch = [head];
+  if (BATCHABLE.includes(head.type)) {
+    for (const operation of pending.slice(1)) {
+      if (operation.type !== head.type || operation.nextAttemptAt > now) break;
+      batch.push(operation);
+    }
+  }
+  return { ready: true, operations: batch };
+}
+
+export function summarize(operations) {
+  const pending = operations.filter(operation => operation.status === STATUS.PENDING);
+  const failed = operations.filter(operation => operation.status === STATUS.DEAD);
+  const retries = pending.filter(operation => operation.attempts > 0);
+  const lastFailure = [...retries, ...failed].sort((a, b) => b.id - a.id)[0];
+
+  return {
+    pending: pending.length,
+    failed: failed.length,
+    nextAttemptAt: retries.length ? Math.min(...retries.map(operation => operation.nextAttemptAt)) : null,
+    lastError: lastFailure?.lastError ?? null
+  };
+}
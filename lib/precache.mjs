@@ -0,0 +1,67 @@
+// precache.mjs - Precache de recursos a partir de precache-manifest.mjs
+//
+// Cada recurso se guarda con su revisión en la URL (/converter.js?__rev=abc123),
+// así una versión nueva del Service Worker descarga en `install` solo los
+// recursos cuyo hash cambió, sin tocar los que sigue usando la versión activa.
+// En `activate` se eliminan las entradas que ya no están en el manifiesto.
+
+const REVISION_PARAM = '__rev';
+
+export function precacheKey({ url, revision }, origin = self.location.origin) {
+  const key = new URL(url, origin);
+  key.searchParams.set(REVISION_PARAM, revision);
+  return key.href;
+}
+
+export async function installPrecache(manifest, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = new Set((await cache.keys()).map(request => request.url));
+  const changed = manifest.filter(entry => !cached.has(precacheKey(entry)));
+
+  await Promise.all(changed.map(async entry => {
+    // cache: 'reload' evita recibir una copia vieja de la caché HTTP
+    const response = await fetch(entry.url, { cache: 'reload' });
+    if (!response.ok) {
+      throw new Error(`No se pudo precachear ${entry.url}: ${response.status}`);
+    }
+    await cache.put(precacheKey(entry), response);
+  }));
+
+  return { added: changed.length, unchanged: manifest.length - changed.length };
+}
+
+export async function cleanupPrecache(manifest, cacheName) {
+  const cache = await caches.open(cacheName);
+  const expected = new Set(manifest.map(entry => precacheKey(entry)));
+  const stale = (await cache.keys()).filter(request => !expected.has(request.url));
+
+  await Promise.all(stale.map(request => cache.delete(request)));
+  return { deleted: stale.length };
+}
+
+// Mientras el worker nuevo espera, el precache guarda también las revisiones de
+// la versión activa: las URL con otra revisión son las que cambiaron.
+export async function diffPrecache(manifest, cacheName) {
+  const cache = await caches.open(cacheName);
+  const expected = new Set(manifest.map(entry => precacheKey(entry)));
+  const previous = new Set((await cache.keys())
+    .filter(request => !expected.has(request.url))
+    .map(request => new URL(request.url).pathname));
+  const current = new Set(manifest.map(entry => entry.url));
+
+  return {
+    changed: [...current].filter(url => previous.has(url)),
+    removed: [...previous].filter(url => !current.has(url))
+  };
+}
+
+export async function matchPrecache(manifest, cacheName, request) {
+  const { origin, pathname } = new URL(request.url);
+  if (origin !== self.location.origin) return undefined;
+
+  const entry = manifest.find(item => item.url === pathname);
+  if (!entry) return undefined;
+
+  const cache = await caches.open(cacheName);
+  return cache.match(precacheKey(entry));
+}
@@ -0,0 +1,157 @@
+// reference-table.mjs - Tablas de referencia para imprimir o descargar
+//
+// Una tabla se describe con un `spec`:
+//   { from, to, step, sourceUnit, targetUnits: [unit] }
+// y genera una fila por cada valor from, from + step, ... ≤ to.
+//
+// Los presets con nombre se guardan en la preferencia `tablePresets`
+// (una lista de { name, spec }), así que se sincronizan como las demás.
+import { SCALES, convertTemp } from './temperature.mjs';
+import { validateTemperature } from './validation.mjs';
+import { normalizePrecision } from './number-format.mjs';
+import { ConversionError } from './errors.mjs';
+import { formatCsv } from './csv.mjs';
+
+export const TABLE_FORMAT = 'temperature-reference-table';
+export const PRESETS_KEY = 'tablePresets';
+
+export const TABLE_LIMITS = {
+  maxRows: 1000,
+  maxPresets: 20,
+  presetName: { max: 60 }
+};
+
+// Códigos de error por campo (claves de i18n: table.errors.<CODE>)
+export const TABLE_ERRORS = {
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  INVALID_UNIT: 'INVALID_UNIT',
+  STEP_NOT_POSITIVE: 'STEP_NOT_POSITIVE',
+  RANGE_REVERSED: 'RANGE_REVERSED',
+  BELOW_ABSOLUTE_ZERO: 'BELOW_ABSOLUTE_ZERO',
+  TOO_MANY_ROWS: 'TOO_MANY_ROWS',
+  NO_TARGETS: 'NO_TARGETS'
+};
+
+function isUnit(unit) {
+  return typeof unit === 'string' && Object.hasOwn(SCALES, unit);
+}
+
+// Cifras decimales de un número, para que 0.1 * 3 se muestre como 0.3
+function decimals(value) {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.length;
+}
+
+function rowCount({ from, to, step }) {
+  return Math.floor((to - from) / step + 1e-9) + 1;
+}
+
+/**
+ * Valida un spec (los números ya leídos; NaN si no se pudieron leer).
+ * @returns {{ values: Object, errors: Object<string, { code: string, limit?: number }>, valid: boolean }}
+ */
+export function validateTableSpec(input = {}) {
+  const values = {
+    from: Number(input.from),
+    to: Number(input.to),
+    step: Number(input.step),
+    sourceUnit: input.sourceUnit,
+    targetUnits: [...new Set(Array.isArray(input.targetUnits) ? input.targetUnits : [])]
+  };
+  const errors = {};
+
+  ['from', 'to', 'step'].forEach(field => {
+    if (input[field] === '' || input[field] === null || !Number.isFinite(values[field])) {
+      errors[field] = { code: TABLE_ERRORS.INVALID_NUMBER };
+    }
+  });
+  if (!isUnit(values.sourceUnit)) {
+    errors.sourceUnit = { code: TABLE_ERRORS.INVALID_UNIT };
+  }
+  if (values.targetUnits.length === 0) {
+    errors.targetUnits = { code: TABLE_ERRORS.NO_TARGETS };
+  } else if (!values.targetUnits.every(isUnit)) {
+    errors.targetUnits = { code: TABLE_ERRORS.INVALID_UNIT };
+  }
+
+  if (!errors.step && values.step <= 0) {
+    errors.step = { code: TABLE_ERRORS.STEP_NOT_POSITIVE };
+  }
+  if (!errors.from && !errors.sourceUnit) {
+    try {
+      validateTemperature(values.from, values.sourceUnit);
+    } catch (error) {
+      if (!(error instanceof ConversionError)) throw error;
+      errors.from = { code: TABLE_ERRORS.BELOW_ABSOLUTE_ZERO };
+    }
+  }
+  if (!errors.from && !errors.to && values.to < values.from) {
+    errors.to = { code: TABLE_ERRORS.RANGE_REVERSED };
+  }
+  if (!errors.from && !errors.to && !errors.step && rowCount(values) > TABLE_LIMITS.maxRows) {
+    errors.step = { code: TABLE_ERRORS.TOO_MANY_ROWS, limit: TABLE_LIMITS.maxRows };
+  }
+
+  return { values, errors, valid: Object.keys(errors).length === 0 };
+}
+
+/**
+ * Cada valor de origen se calcula como from + i * step (sin acumular sumas)
+ * y se redondea a las cifras de from y step.
+ * @returns {{ spec: Object, units: string[], rows: number[][] }} la primera
+ *   columna es la escala de origen
+ */
+export function generateTable(spec) {
+  const { from, to, step, sourceUnit, targetUnits } = spec;
+  const digits = Math.max(decimals(from), decimals(step));
+  const units = [sourceUnit, ...targetUnits];
+  const rows = [];
+
+  for (let i = 0; i < rowCount({ from, to, step }); i++) {
+    const source = Number((from + i * step).toFixed(digits));
+    rows.push(units.map(unit => convertTemp(source, sourceUnit, unit)));
+  }
+  return { spec: { from, to, step, sourceUnit, targetUnits }, units, rows };
+}
+
+function roundTo(value, precision) {
+  return Number(value.toFixed(normalizePrecision(precision))) || 0;
+}
+
+export function tableToCsv({ units, rows }, { precision } = {}) {
+  return formatCsv([units, ...rows.map(row => row.map(value => roundTo(value, precision)))]);
+}
+
+export function tableToJson({ spec, units, rows }, { precision } = {}) {
+  return {
+    format: TABLE_FORMAT,
+    spec,
+    units,
+    rows: rows.map(row => row.map(value => roundTo(value, precision)))
+  };
+}
+
+// ==========================================
+// PRESETS
+// ==========================================
+
+function isPreset(preset) {
+  return Boolean(preset) && typeof preset.name === 'string' && validateTableSpec(preset.spec).valid;
+}
+
+// Lista guardada en preferencias; descarta entradas dañadas
+export function readPresets(value) {
+  return Array.isArray(value) ? value.filter(isPreset) : [];
+}
+
+/** Agrega o reemplaza (por nombre) un preset; los más recientes primero */
+export function savePreset(presets, name, spec) {
+  const trimmed = String(name ?? '').trim().slice(0, TABLE_LIMITS.presetName.max);
+  if (!trimmed) return presets;
+  const others = presets.filter(preset => preset.name !== trimmed);
+  return [{ name: trimmed, spec }, ...others].slice(0, TABLE_LIMITS.maxPresets);
+}
+
+export function removePreset(presets, name) {
+  return presets.filter(preset => preset.name !== name);
+}
@@ -0,0 +1,21 @@
+// release.mjs - Versión publicada y novedades que muestra el aviso de actualización
+// Actualizar al publicar: el Service Worker nuevo envía estos datos a la
+// página (mensaje GET_VERSION) antes de reemplazar al activo.
+export const RELEASE = {
+  version: '2.0.0',
+  date: '2026-10-19',
+  notes: {
+    es: [
+      'Historial con búsqueda, filtros y paginación',
+      'Exportación e importación en JSON y CSV',
+      'Panel de estadísticas con gráfica',
+      'Aviso de actualización sin recargar a ciegas'
+    ],
+    en: [
+      'Searchable, filterable and paginated history',
+      'JSON and CSV export and import',
+      'Statistics panel with a chart',
+      'Update notice instead of a blind reload'
+    ]
+  }
+};
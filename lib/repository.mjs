@@ -0,0 +1,518 @@
+// repository.mjs - Capa de acceso a datos sobre IndexedDB (temperature-sync-db)
+// Única implementación de los stores conversions, preferences y sync-queue,
+// compartida por sw.js y sync-sw.js. Recibe `indexedDB` e `IDBKeyRange` por
+// parámetro para poder usarse en Node con fake-indexeddb.
+import { OPERATIONS, createOperation } from './outbox.mjs';
+import { LOCAL_PREFERENCE_KEYS, createId, toWireConversion } from './sync.mjs';
+import { nextVersion } from './conflict.mjs';
+import { STORES, LATEST_VERSION, openMigratedDatabase } from './migrations.mjs';
+import { MODES } from './temperature.mjs';
+import { DEFAULT_CATEGORY, convertUnit } from './units.mjs';
+import { isSameConversion } from './history-policy.mjs';
+import { normalizeQuery, matchesQuery, isBeforeCursor, encodeCursor } from './history-query.mjs';
+import { planImport } from './data-transfer.mjs';
+import { createSubmission } from './contact.mjs';
+
+export const SYNC_DB_NAME = 'temperature-sync-db';
+export const SYNC_DB_VERSION = LATEST_VERSION;
+export { STORES };
+
+/**
+ * @typedef {Object} Conversion
+ * @property {number} [id]
+ * @property {string} uuid
+ * @property {number} value
+ * @property {string} category magnitud de lib/units.mjs, p. ej. 'temperature' o 'length'
+ * @property {string} fromUnit
+ * @property {string} toUnit
+ * @property {'absolute'|'interval'} mode temperatura o diferencia de temperaturas
+ * @property {string|null} expression texto escrito si fue una expresión, p. ej. "avg(20C, 25C)"
+ * @property {string} result texto mostrado, p. ej. "68 °F"
+ * @property {number|null} resultValue resultado numérico
+ * @property {number} count veces que se repitió seguida
+ * @property {number} timestamp
+ * @property {0|1} synced
+ */
+
+/**
+ * @typedef {Object} PreferenceRecord
+ * @property {string} key
+ * @property {*} value
+ * @property {number} timestamp
+ * @property {{ counter: number, deviceId: string }} [version]
+ * @property {boolean} [synced]
+ */
+
+/**
+ * @typedef {Object} Operation
+ * @property {number} [id]
+ * @property {string} type
+ * @property {Object} payload
+ * @property {'pending'|'dead'} status
+ * @property {number} attempts
+ * @property {number} createdAt
+ * @property {number|null} nextAttemptAt
+ * @property {string|null} lastError
+ */
+
+/**
+ * @typedef {Object} ContactSubmission
+ * @property {number} [id]
+ * @property {string} uuid
+ * @property {string} nombre
+ * @property {string} email
+ * @property {string} mensaje
+ * @property {'queued'|'sent'|'failed'} status
+ * @property {number} attempts
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number|null} nextAttemptAt
+ * @property {string|null} lastError
+ */
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB]
+ * @param {typeof IDBKeyRange} [options.IDBKeyRange] el de la misma implementación que `indexedDB`
+ * @param {string} [options.name] nombre de la base de datos
+ * @param {string} [options.logPrefix] prefijo de los mensajes de consola
+ */
+export function createRepository({
+  indexedDB = globalThis.indexedDB,
+  IDBKeyRange = globalThis.IDBKeyRange,
+  name = SYNC_DB_NAME,
+  logPrefix = '[DB]'
+} = {}) {
+  let connection = null;
+  // Escrituras en curso, para poder esperarlas con flush()
+  const pendingWrites = new Set();
+
+  /** @returns {Promise<IDBDatabase>} */
+  function open() {
+    if (!connection) {
+      connection = openMigratedDatabase(indexedDB, name, SYNC_DB_VERSION, { createId }).then(db => {
+        // Cerrar si otra pestaña o worker necesita actualizar el esquema
+        db.onversionchange = () => {
+          db.close();
+          connection = null;
+        };
+        return db;
+      }, error => {
+        connection = null;
+        throw error;
+      });
+    }
+    return connection;
+  }
+
+  async function close() {
+    if (!connection) return;
+    const db = await connection;
+    connection = null;
+    db.close();
+  }
+
+  function tracked(write) {
+    return (...args) => {
+      const promise = write(...args);
+      pendingWrites.add(promise);
+      promise.then(() => pendingWrites.delete(promise), () => pendingWrites.delete(promise));
+      return promise;
+    };
+  }
+
+  async function flush() {
+    await Promise.allSettled([...pendingWrites]);
+  }
+
+  async function getAll(storeName) {
+    const db = await open();
+    return requestToPromise(db.transaction([storeName], 'readonly').objectStore(storeName).getAll());
+  }
+
+  async function putAll(storeName, records) {
+    if (records.length === 0) return;
+    const db = await open();
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    records.forEach(record => store.put(record));
+    await transactionToPromise(transaction);
+  }
+
+  async function deleteAll(storeName, keys) {
+    if (keys.length === 0) return;
+    const db = await open();
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    keys.forEach(key => store.delete(key));
+    await transactionToPromise(transaction);
+  }
+
+  // Agrega una operación a la cola dentro de la transacción de la mutación
+  function enqueue(transaction, type, payload) {
+    transaction.objectStore(STORES.SYNC_QUEUE).add(createOperation(type, payload));
+  }
+
+  // ==========================================
+  // CONVERSIONES
+  // ==========================================
+
+  // Última conversión del historial (por timestamp) dentro de la transacción dada
+  async function getLatestConversion(store) {
+    const cursor = await requestToPromise(store.index('timestamp').openCursor(null, 'prev'));
+    return cursor?.value ?? null;
+  }
+
+  /**
+   * Guarda una conversión. Si repite la última del historial no se crea una
+   * entrada nueva: se incrementa `count` de la existente y se vuelve a sincronizar.
+   * @returns {Promise<Conversion>}
+   */
+  async function saveConversion({ value, category = DEFAULT_CATEGORY, fromUnit, toUnit, mode = MODES.ABSOLUTE, expression = null, result, resultValue }) {
+    const db = await open();
+    const transaction = db.transaction([STORES.CONVERSIONS, STORES.SYNC_QUEUE], 'readwrite');
+    const store = transaction.objectStore(STORES.CONVERSIONS);
+
+    const latest = await getLatestConversion(store);
+    const repeated = isSameConversion(latest, { value, fromUnit, toUnit, mode });
+    const conversion = {
+      ...(repeated ? latest : { uuid: createId(), count: 0 }),
+      value,
+      category,
+      fromUnit,
+      toUnit,
+      mode,
+      expression,
+      result,
+      resultValue: resultValue ?? convertUnit(value, fromUnit, toUnit, { category, mode }),
+      timestamp: Date.now(),
+      synced: 0
+    };
+    conversion.count += 1;
+
+    // La conversión y su operación de sincronización se guardan juntas
+    store.put(conversion);
+    enqueue(transaction, OPERATIONS.SAVE_CONVERSION, toWireConversion(conversion));
+    await transactionToPromise(transaction);
+    console.log(`${logPrefix} Conversión guardada:`, conversion);
+    return conversion;
+  }
+
+  /** @returns {Promise<Conversion[]>} las más recientes primero */
+  async function getConversions(limit = 50) {
+    const db = await open();
+    const index = db.transaction([STORES.CONVERSIONS], 'readonly')
+      .objectStore(STORES.CONVERSIONS)
+      .index('timestamp');
+
+    return new Promise((resolve, reject) => {
+      const conversions = [];
+      const request = index.openCursor(null, 'prev');
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && conversions.length < limit) {
+          conversions.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(conversions);
+        }
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Rango del índice 'timestamp' que cubre el intervalo de fechas y el cursor
+  function timestampRange({ dateFrom, dateTo, cursor }) {
+    const upper = [dateTo, cursor?.timestamp].filter(bound => bound !== null && bound !== undefined);
+    const max = upper.length > 0 ? Math.min(...upper) : null;
+
+    if (dateFrom !== null && max !== null) return IDBKeyRange.bound(dateFrom, max);
+    if (dateFrom !== null) return IDBKeyRange.lowerBound(dateFrom);
+    if (max !== null) return IDBKeyRange.upperBound(max);
+    return null;
+  }
+
+  /**
+   * Página del historial filtrada (ver lib/history-query.mjs).
+   * @returns {Promise<{ conversions: Conversion[], nextCursor: string|null }>}
+   */
+  async function queryConversions(options) {
+    const query = normalizeQuery(options);
+    const db = await open();
+    const index = db.transaction([STORES.CONVERSIONS], 'readonly')
+      .objectStore(STORES.CONVERSIONS)
+      .index('timestamp');
+
+    return new Promise((resolve, reject) => {
+      const conversions = [];
+      const request = index.openCursor(timestampRange(query), 'prev');
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve({ conversions, nextCursor: null });
+          return;
+        }
+
+        const conversion = cursor.value;
+        if (!isBeforeCursor(conversion, query.cursor) && matchesQuery(conversion, query)) {
+          // Hay al menos un resultado más: la página termina en el anterior
+          if (conversions.length === query.limit) {
+            resolve({ conversions, nextCursor: encodeCursor(conversions[conversions.length - 1]) });
+            return;
+          }
+          conversions.push(conversion);
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /** @returns {Promise<Conversion[]>} */
+  function getAllConversions() {
+    return getAll(STORES.CONVERSIONS);
+  }
+
+  /** @param {Conversion[]} conversions */
+  function putConversions(conversions) {
+    return putAll(STORES.CONVERSIONS, conversions);
+  }
+
+  /** @returns {Promise<boolean>} false si la conversión no existía */
+  async function deleteConversion(id) {
+    const db = await open();
+    const transaction = db.transaction([STORES.CONVERSIONS, STORES.SYNC_QUEUE], 'readwrite');
+    const store = transaction.objectStore(STORES.CONVERSIONS);
+
+    const conversion = await requestToPromise(store.get(id));
+    if (conversion) {
+      store.delete(id);
+      enqueue(transaction, OPERATIONS.DELETE_CONVERSION, { uuid: conversion.uuid });
+    }
+    await transactionToPromise(transaction);
+    if (conversion) {
+      console.log(`${logPrefix} Conversión eliminada:`, id);
+    }
+    return Boolean(conversion);
+  }
+
+  async function clearHistory() {
+    const db = await open();
+    const transaction = db.transaction([STORES.CONVERSIONS, STORES.SYNC_QUEUE], 'readwrite');
+
+    transaction.objectStore(STORES.CONVERSIONS).clear();
+    enqueue(transaction, OPERATIONS.CLEAR_HISTORY, { before: Date.now() });
+    await transactionToPromise(transaction);
+    console.log(`${logPrefix} Historial eliminado`);
+  }
+
+  // ==========================================
+  // PREFERENCIAS
+  // ==========================================
+
+  /** @returns {Promise<PreferenceRecord>} */
+  async function savePreference({ key, value }) {
+    const deviceId = await getDeviceId();
+    const db = await open();
+    const transaction = db.transaction([STORES.PREFERENCES, STORES.SYNC_QUEUE], 'readwrite');
+    const store = transaction.objectStore(STORES.PREFERENCES);
+
+    // La versión se calcula dentro de la transacción para no repetir contadores
+    const records = await requestToPromise(store.getAll());
+    const preference = {
+      key,
+      value,
+      timestamp: Date.now(),
+      version: nextVersion(records, deviceId),
+      synced: false
+    };
+
+    store.put(preference);
+    if (!LOCAL_PREFERENCE_KEYS.includes(key)) {
+      const { timestamp, version } = preference;
+      enqueue(transaction, OPERATIONS.SAVE_PREFERENCE, { key, value, timestamp, version });
+    }
+    await transactionToPromise(transaction);
+    console.log(`${logPrefix} Preferencia guardada:`, preference);
+    return preference;
+  }
+
+  /** @returns {Promise<Object<string, *>>} valor de cada preferencia por clave */
+  async function getPreferences() {
+    const records = await getPreferenceRecords();
+    const prefs = {};
+    records.forEach(item => {
+      prefs[item.key] = item.value;
+    });
+    return prefs;
+  }
+
+  /** @returns {Promise<PreferenceRecord[]>} */
+  function getPreferenceRecords() {
+    return getAll(STORES.PREFERENCES);
+  }
+
+  /** @param {PreferenceRecord[]} records */
+  function putPreferences(records) {
+    return putAll(STORES.PREFERENCES, records);
+  }
+
+  // Preferencia local (no se sincroniza ni se versiona)
+  function setLocalPreference(key, value) {
+    return putAll(STORES.PREFERENCES, [{ key, value, timestamp: Date.now() }]);
+  }
+
+  /** @returns {Promise<string>} identificador estable de este dispositivo */
+  async function getDeviceId() {
+    const { deviceId } = await getPreferences();
+    if (deviceId) return deviceId;
+
+    const id = createId();
+    await setLocalPreference('deviceId', id);
+    return id;
+  }
+
+  // ==========================================
+  // IMPORTACIÓN
+  // ==========================================
+
+  /**
+   * Fusiona registros importados (ver planImport en lib/data-transfer.mjs).
+   * La comparación con los datos locales y la escritura ocurren en la misma
+   * transacción; cada registro guardado se encola para sincronizar.
+   * @param {{ conversions: Object[], preferences: Object[] }} imported
+   * @returns {Promise<Object>} resumen de lo fusionado y lo rechazado
+   */
+  async function importData(imported) {
+    const deviceId = await getDeviceId();
+    const db = await open();
+    const transaction = db.transaction([STORES.CONVERSIONS, STORES.PREFERENCES, STORES.SYNC_QUEUE], 'readwrite');
+    const conversionStore = transaction.objectStore(STORES.CONVERSIONS);
+    const preferenceStore = transaction.objectStore(STORES.PREFERENCES);
+
+    const [localConversions, localPreferences] = await Promise.all([
+      requestToPromise(conversionStore.getAll()),
+      requestToPromise(preferenceStore.getAll())
+    ]);
+    const { conversions, preferences, report } = planImport(imported, {
+      conversions: localConversions,
+      preferences: localPreferences
+    });
+
+    conversions.forEach(conversion => {
+      conversionStore.put(conversion);
+      enqueue(transaction, OPERATIONS.SAVE_CONVERSION, toWireConversion(conversion));
+    });
+
+    const records = [...localPreferences];
+    preferences.forEach(record => {
+      // Sin versión, la preferencia importada es una escritura nueva de este dispositivo
+      const preference = {
+        ...record,
+        version: record.version ?? nextVersion(records, deviceId),
+        synced: false
+      };
+      records.push(preference);
+      preferenceStore.put(preference);
+      const { key, value, timestamp, version } = preference;
+      enqueue(transaction, OPERATIONS.SAVE_PREFERENCE, { key, value, timestamp, version });
+    });
+
+    await transactionToPromise(transaction);
+    console.log(`${logPrefix} Datos importados:`, report);
+    return report;
+  }
+
+  // ==========================================
+  // FORMULARIO DE CONTACTO
+  // ==========================================
+
+  /**
+   * @param {{ nombre: string, email: string, mensaje: string }} values ya validados
+   * @returns {Promise<ContactSubmission>}
+   */
+  async function saveContactSubmission(values) {
+    const db = await open();
+    const submission = createSubmission(values, createId());
+    submission.id = await requestToPromise(
+      db.transaction([STORES.CONTACT], 'readwrite').objectStore(STORES.CONTACT).add(submission)
+    );
+    console.log(`${logPrefix} Envío de contacto en cola:`, submission.uuid);
+    return submission;
+  }
+
+  /** @returns {Promise<ContactSubmission[]>} los más recientes primero */
+  async function getContactSubmissions() {
+    const submissions = await getAll(STORES.CONTACT);
+    return submissions.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /** @param {ContactSubmission[]} submissions */
+  function putContactSubmissions(submissions) {
+    return putAll(STORES.CONTACT, submissions);
+  }
+
+  // ==========================================
+  // COLA DE SINCRONIZACIÓN
+  // ==========================================
+
+  /** @returns {Promise<Operation[]>} */
+  function getOperations() {
+    return getAll(STORES.SYNC_QUEUE);
+  }
+
+  /** @param {Operation[]} operations */
+  function putOperations(operations) {
+    return putAll(STORES.SYNC_QUEUE, operations);
+  }
+
+  /** @param {number[]} ids */
+  function deleteOperations(ids) {
+    return deleteAll(STORES.SYNC_QUEUE, ids);
+  }
+
+  return {
+    open,
+    close,
+    flush,
+    saveConversion: tracked(saveConversion),
+    getConversions,
+    queryConversions,
+    getAllConversions,
+    putConversions: tracked(putConversions),
+    deleteConversion: tracked(deleteConversion),
+    clearHistory: tracked(clearHistory),
+    savePreference: tracked(savePreference),
+    getPreferences,
+    getPreferenceRecords,
+    putPreferences: tracked(putPreferences),
+    setLocalPreference: tracked(setLocalPreference),
+    getDeviceId,
+    importData: tracked(importData),
+    saveContactSubmission: tracked(saveContactSubmission),
+    getContactSubmissions,
+    putContactSubmissions: tracked(putContactSubmissions),
+    getOperations,
+    putOperations: tracked(putOperations),
+    deleteOperations: tracked(deleteOperations)
+  };
+}
@@ -0,0 +1,151 @@
+// routing.mjs - Enrutado de peticiones del Service Worker por estrategia de caché
+//
+// Cada ruta define:
+//   match        RegExp sobre la ruta de la URL o función ({ url, request }) => boolean
+//   strategy     'cache-first' | 'network-first' | 'stale-while-revalidate' | 'network-only'
+//   cacheName    caché propia de la ruta (no aplica a 'network-only')
+//   networkTimeoutMs  tiempo máximo de espera a la red
+//   expiration   { maxEntries, maxAgeSeconds } límites de la caché de la ruta
+//
+// Si la caché de la ruta no tiene la respuesta se consulta `matchFallback`
+// (por ejemplo el precache); por defecto, todas las cachés. Los recursos
+// precacheados no pasan por aquí: sw.js los sirve antes desde el precache.
+
+export const STRATEGIES = {
+  CACHE_FIRST: 'cache-first',
+  NETWORK_FIRST: 'network-first',
+  STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+  NETWORK_ONLY: 'network-only'
+};
+
+// Cabecera con la que se marca cuándo se guardó cada respuesta
+const CACHED_AT_HEADER = 'x-sw-cached-at';
+
+export class NetworkTimeoutError extends Error {
+  constructor(url, timeout) {
+    super(`La red no respondió en ${timeout} ms: ${url}`);
+    this.name = 'NetworkTimeoutError';
+  }
+}
+
+export function matchRoute(routes, request) {
+  const url = new URL(request.url);
+  return routes.find(route =>
+    route.match instanceof RegExp ? route.match.test(url.pathname) : route.match({ url, request })
+  ) ?? null;
+}
+
+function isExpired(response, expiration, now = Date.now()) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  if (!expiration?.maxAgeSeconds || !cachedAt) return false;
+  return now - cachedAt > expiration.maxAgeSeconds * 1000;
+}
+
+async function fetchWithTimeout(request, timeout) {
+  if (!timeout) return fetch(request);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(request, { signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) throw new NetworkTimeoutError(request.url, timeout);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readFromCache(route, request, { matchFallback = req => caches.match(req) } = {}) {
+  if (route.cacheName) {
+    const cache = await caches.open(route.cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+      if (!isExpired(cached, route.expiration)) return cached;
+      await cache.delete(request);
+    }
+  }
+  return matchFallback(request);
+}
+
+// Elimina las entradas más antiguas o caducadas de la caché de la ruta
+export async function enforceExpiration(route, now = Date.now()) {
+  const { maxEntries, maxAgeSeconds } = route.expiration ?? {};
+  if (!route.cacheName || (!maxEntries && !maxAgeSeconds)) return;
+
+  const cache = await caches.open(route.cacheName);
+  const entries = await Promise.all((await cache.keys()).map(async request => ({
+    request,
+    cachedAt: Number((await cache.match(request))?.headers.get(CACHED_AT_HEADER)) || 0
+  })));
+  entries.sort((a, b) => a.cachedAt - b.cachedAt);
+
+  const expired = entries.filter(entry => maxAgeSeconds && now - entry.cachedAt > maxAgeSeconds * 1000);
+  const fresh = entries.filter(entry => !expired.includes(entry));
+  const overflow = maxEntries ? fresh.slice(0, Math.max(fresh.length - maxEntries, 0)) : [];
+
+  await Promise.all([...expired, ...overflow].map(entry => cache.delete(entry.request)));
+}
+
+async function saveToCache(route, request, response) {
+  if (!route.cacheName || !response?.ok) return;
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const stamped = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+
+  const cache = await caches.open(route.cacheName);
+  await cache.put(request, stamped);
+  await enforceExpiration(route);
+}
+
+// Pide a la red y guarda la copia en caché sin bloquear la respuesta
+async function fetchAndCache(route, request, event) {
+  const response = await fetchWithTimeout(request, route.networkTimeoutMs);
+  event?.waitUntil(saveToCache(route, request, response.clone()));
+  return response;
+}
+
+const handlers = {
+  async [STRATEGIES.CACHE_FIRST](route, request, event, options) {
+    return (await readFromCache(route, request, options)) ?? fetchAndCache(route, request, event);
+  },
+
+  async [STRATEGIES.NETWORK_FIRST](route, request, event, options) {
+    try {
+      return await fetchAndCache(route, request, event);
+    } catch (error) {
+      const cached = await readFromCache(route, request, options);
+      if (cached) return cached;
+      throw error;
+    }
+  },
+
+  async [STRATEGIES.STALE_WHILE_REVALIDATE](route, request, event, options) {
+    const cached = await readFromCache(route, request, options);
+    const network = fetchAndCache(route, request, event);
+
+    if (cached) {
+      // Revalidar en segundo plano; un fallo de red no afecta a la respuesta
+      event?.waitUntil(network.catch(error => console.warn('[SW] Revalidación fallida:', error.message)));
+      return cached;
+    }
+    return network;
+  },
+
+  async [STRATEGIES.NETWORK_ONLY](route, request) {
+    return fetchWithTimeout(request, route.networkTimeoutMs);
+  }
+};
+
+export function handleRequest(route, request, event, options = {}) {
+  const handler = handlers[route.strategy];
+  if (!handler) {
+    throw new Error(`Estrategia desconocida: ${route.strategy}`);
+  }
+  return handler(route, request, event, options);
+}
@@ -0,0 +1,173 @@
+// rpc.mjs - Petición/respuesta entre las páginas y el Service Worker
+//
+// Cada petición viaja por un MessageChannel propio:
+//   → { protocol, id, type, data }
+//   ← { protocol, id, ok: true, result }
+//   ← { protocol, id, ok: false, error: { code, message, details } }
+//
+// El worker SIEMPRE responde: un tipo desconocido, un protocolo distinto o
+// un handler que lanza una excepción devuelven un error estructurado. Del
+// lado de la página cada llamada tiene un tiempo máximo de espera.
+//
+// Los mensajes sin `protocol` son de páginas anteriores a este módulo:
+// reciben el resultado tal cual (o { success: false, error }).
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_TIMEOUT_MS = 10000;
+export const CONTROLLER_TIMEOUT_MS = 10000;
+
+export const RPC_ERRORS = {
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  NO_CONTROLLER: 'NO_CONTROLLER'
+};
+
+export class RpcError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function serializeError(error) {
+  return {
+    code: error.code ?? RPC_ERRORS.HANDLER_ERROR,
+    message: error.message,
+    details: error.details ?? {}
+  };
+}
+
+// ==========================================
+// LADO DEL SERVICE WORKER
+// ==========================================
+
+async function runHandler(handlers, type, data, event) {
+  if (typeof type !== 'string' || !type) {
+    throw new RpcError('Mensaje sin tipo', RPC_ERRORS.INVALID_REQUEST);
+  }
+  if (!Object.hasOwn(handlers, type)) {
+    throw new RpcError(`Tipo de mensaje desconocido: ${type}`, RPC_ERRORS.UNKNOWN_TYPE, { type });
+  }
+  return handlers[type](data, event);
+}
+
+/**
+ * Atiende un evento `message` con el handler de su tipo y responde siempre
+ * por el puerto recibido (o a `event.source` si no hay puerto).
+ * @param {Object<string, (data: *, event: ExtendableMessageEvent) => *>} handlers
+ */
+export async function handleRpcMessage(handlers, event, logPrefix = '[SW]') {
+  const request = event.data ?? {};
+  const reply = response => (event.ports?.[0] ?? event.source)?.postMessage(response);
+
+  // Páginas antiguas: respuesta sin sobre
+  if (request.protocol === undefined) {
+    try {
+      const result = await runHandler(handlers, request.type, request.data, event);
+      reply(result ?? { success: true });
+    } catch (error) {
+      console.error(`${logPrefix} Error atendiendo ${request.type}:`, error);
+      reply({ success: false, error: error.message });
+    }
+    return;
+  }
+
+  const { id, type, data } = request;
+  try {
+    if (request.protocol !== PROTOCOL_VERSION) {
+      throw new RpcError(
+        `Protocolo ${request.protocol} no soportado (worker: ${PROTOCOL_VERSION})`,
+        RPC_ERRORS.PROTOCOL_MISMATCH,
+        { expected: PROTOCOL_VERSION, received: request.protocol }
+      );
+    }
+    const result = await runHandler(handlers, type, data, event);
+    reply({ protocol: PROTOCOL_VERSION, id, ok: true, result: result ?? null });
+  } catch (error) {
+    console.error(`${logPrefix} Error atendiendo ${type}:`, error);
+    reply({ protocol: PROTOCOL_VERSION, id, ok: false, error: serializeError(error) });
+  }
+}
+
+// ==========================================
+// LADO DE LA PÁGINA
+// ==========================================
+
+let nextRequestId = 0;
+
+function createRequestId() {
+  nextRequestId += 1;
+  return `${Date.now().toString(36)}-${nextRequestId}`;
+}
+
+/**
+ * Espera a que la página esté controlada por un Service Worker.
+ * La primera visita queda controlada cuando el worker nuevo llama a clients.claim().
+ * @returns {Promise<ServiceWorker>}
+ */
+export function waitForController({ container = globalThis.navigator?.serviceWorker, timeout = CONTROLLER_TIMEOUT_MS } = {}) {
+  if (!container) {
+    return Promise.reject(new RpcError('Service Workers no soportados', RPC_ERRORS.NO_CONTROLLER));
+  }
+  if (container.controller) {
+    return Promise.resolve(container.controller);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onChange = () => {
+      if (!container.controller) return;
+      clearTimeout(timer);
+      container.removeEventListener('controllerchange', onChange);
+      resolve(container.controller);
+    };
+    const timer = setTimeout(() => {
+      container.removeEventListener('controllerchange', onChange);
+      reject(new RpcError(`Ningún Service Worker controla la página tras ${timeout} ms`, RPC_ERRORS.NO_CONTROLLER));
+    }, timeout);
+    container.addEventListener('controllerchange', onChange);
+  });
+}
+
+/**
+ * Envía una petición al worker que controla la página (o a `worker`, p. ej.
+ * uno en espera). Se rechaza con RpcError si no hay worker, si no responde a
+ * tiempo o si el handler falló (el código del error se conserva).
+ */
+export async function callServiceWorker(type, data, {
+  container = globalThis.navigator?.serviceWorker,
+  worker = null,
+  timeout = DEFAULT_TIMEOUT_MS,
+  controllerTimeout = CONTROLLER_TIMEOUT_MS
+} = {}) {
+  const controller = worker ?? await waitForController({ container, timeout: controllerTimeout });
+  const id = createRequestId();
+  const channel = new MessageChannel();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new RpcError(`${type} sin respuesta tras ${timeout} ms`, RPC_ERRORS.TIMEOUT, { type, id }));
+    }, timeout);
+
+    channel.port1.onmessage = (event) => {
+      const response = event.data ?? {};
+      if (response.id !== id) return;
+
+      clearTimeout(timer);
+      channel.port1.close();
+      if (response.ok) {
+        resolve(response.result);
+      } else {
+        const { message, code, details } = response.error ?? {};
+        reject(new RpcError(message ?? `Error en ${type}`, code ?? RPC_ERRORS.HANDLER_ERROR, details));
+      }
+    };
+
+    controller.postMessage({ protocol: PROTOCOL_VERSION, id, type, data }, [channel.port2]);
+  });
+}
@@ -0,0 +1,108 @@
+// svg-chart.mjs - Gráfica de línea en SVG sin dependencias
+// chartLayout() calcula las coordenadas (función pura) y renderLineChart()
+// crea los elementos SVG con el `document` recibido.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const DEFAULT_CHART_SIZE = {
+  width: 480,
+  height: 240,
+  padding: { top: 16, right: 16, bottom: 32, left: 56 }
+};
+
+// Evita una escala de ancho cero cuando todos los valores son iguales
+function extent(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return min === max ? [min - 1, max + 1] : [min, max];
+}
+
+/**
+ * @param {{ timestamp: number, value: number }[]} points ordenados por timestamp
+ * @returns {{ points: { x: number, y: number, timestamp: number, value: number }[],
+ *   x: { min: number, max: number }, y: { min: number, max: number }, plot: Object }}
+ */
+export function chartLayout(points, size = DEFAULT_CHART_SIZE) {
+  const { width, height, padding } = size;
+  const plot = {
+    left: padding.left,
+    top: padding.top,
+    right: width - padding.right,
+    bottom: height - padding.bottom
+  };
+
+  const [xMin, xMax] = extent(points.map(point => point.timestamp));
+  const [yMin, yMax] = extent(points.map(point => point.value));
+  const scaleX = timestamp => plot.left + (timestamp - xMin) / (xMax - xMin) * (plot.right - plot.left);
+  const scaleY = value => plot.bottom - (value - yMin) / (yMax - yMin) * (plot.bottom - plot.top);
+
+  return {
+    points: points.map(point => ({ ...point, x: scaleX(point.timestamp), y: scaleY(point.value) })),
+    x: { min: xMin, max: xMax },
+    y: { min: yMin, max: yMax },
+    plot
+  };
+}
+
+function svgElement(document, name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, String(value)));
+  return element;
+}
+
+function label(document, text, attributes) {
+  const element = svgElement(document, 'text', { 'font-size': 11, fill: 'currentColor', ...attributes });
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * @param {Document} document
+ * @param {{ timestamp: number, value: number }[]} points
+ * @param {Object} options
+ * @param {(value: number) => string} options.formatValue
+ * @param {(timestamp: number) => string} options.formatTime
+ * @param {string} [options.title] texto accesible de la gráfica
+ * @returns {SVGSVGElement}
+ */
+export function renderLineChart(document, points, { formatValue, formatTime, title = '', size = DEFAULT_CHART_SIZE }) {
+  const { width, height } = size;
+  const svg = svgElement(document, 'svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    role: 'img',
+    'aria-label': title
+  });
+  if (points.length === 0) return svg;
+
+  const layout = chartLayout(points, size);
+  const { plot } = layout;
+
+  // Ejes
+  svg.appendChild(svgElement(document, 'polyline', {
+    points: `${plot.left},${plot.top} ${plot.left},${plot.bottom} ${plot.right},${plot.bottom}`,
+    fill: 'none',
+    stroke: '#999'
+  }));
+  svg.appendChild(label(document, formatValue(layout.y.max), { x: plot.left - 6, y: plot.top + 4, 'text-anchor': 'end' }));
+  svg.appendChild(label(document, formatValue(layout.y.min), { x: plot.left - 6, y: plot.bottom, 'text-anchor': 'end' }));
+  svg.appendChild(label(document, formatTime(layout.x.min), { x: plot.left, y: plot.bottom + 18, 'text-anchor': 'start' }));
+  svg.appendChild(label(document, formatTime(layout.x.max), { x: plot.right, y: plot.bottom + 18, 'text-anchor': 'end' }));
+
+  // Serie
+  svg.appendChild(svgElement(document, 'polyline', {
+    points: layout.points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' '),
+    fill: 'none',
+    stroke: '#2980b9',
+    'stroke-width': 2
+  }));
+  layout.points.forEach(point => {
+    const dot = svgElement(document, 'circle', { cx: point.x.toFixed(1), cy: point.y.toFixed(1), r: 3, fill: '#2980b9' });
+    const tooltip = svgElement(document, 'title');
+    tooltip.textContent = `${formatTime(point.timestamp)}: ${formatValue(point.value)}`;
+    dot.appendChild(tooltip);
+    svg.appendChild(dot);
+  });
+
+  return svg;
+}
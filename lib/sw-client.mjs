@@ -0,0 +1,17 @@
+// sw-client.mjs - Comunicación de las páginas con el Service Worker
+// Envoltura tolerante sobre lib/rpc.mjs: en vez de lanzar, registra el error
+// y devuelve null. Quien necesite distinguir los errores debe usar
+// callServiceWorker directamente.
+import { callServiceWorker, RpcError } from './rpc.mjs';
+
+export { callServiceWorker, waitForController, RpcError, RPC_ERRORS } from './rpc.mjs';
+
+export async function sendMessageToSW({ type, data }, options) {
+  try {
+    return await callServiceWorker(type, data, options);
+  } catch (error) {
+    if (!(error instanceof RpcError)) throw error;
+    console.warn(`⚠️ ${type} falló (${error.code}):`, error.message);
+    return null;
+  }
+}
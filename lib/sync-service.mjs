@@ -0,0 +1,242 @@
+// sync-service.mjs - Vaciado de la cola y pull desde el servidor
+// Usa el repositorio (lib/repository.mjs) para todo acceso a IndexedDB y
+// el protocolo de lib/sync.mjs para hablar con el servidor.
+import {
+  DEFAULT_SYNC_ENDPOINT,
+  SyncError,
+  createId,
+  postSync,
+  toWireConversion,
+  mergeRemoteConversions,
+  syncablePreferences
+} from './sync.mjs';
+import { compareVersions, mergePreferences } from './conflict.mjs';
+import { OPERATIONS, createOperation, recordFailure, nextBatch, summarize } from './outbox.mjs';
+import { CONTACT_PATH, SUBMISSION_STATUS, dueSubmissions, toWireSubmission, markSent, markFailure } from './contact.mjs';
+import { validateConversion } from './data-transfer.mjs';
+
+/**
+ * @param {Object} options
+ * @param {ReturnType<import('./repository.mjs').createRepository>} options.repository
+ * @param {typeof fetch} [options.fetch]
+ * @param {string} [options.logPrefix]
+ */
+export function createSyncService({ repository, fetch = globalThis.fetch, logPrefix = '[Sync]' }) {
+  // Endpoint, identificador del dispositivo y cursor del último pull
+  async function getSyncSettings() {
+    const preferences = await repository.getPreferences();
+
+    const endpoint = preferences.syncEndpoint || DEFAULT_SYNC_ENDPOINT;
+
+    return {
+      endpoint,
+      contactEndpoint: preferences.contactEndpoint || `${endpoint}${CONTACT_PATH}`,
+      deviceId: await repository.getDeviceId(),
+      cursor: preferences.syncCursor ?? null
+    };
+  }
+
+  // Si quedan operaciones pendientes la promesa se rechaza para que el navegador reintente
+  async function runSync() {
+    await enqueueLegacyConversions();
+    const drained = await processOutbox();
+    const delivered = await processContactSubmissions();
+
+    // Traer los cambios de otros dispositivos aunque no haya nada que enviar
+    await syncConversionsToServer();
+    await syncPreferencesToServer();
+
+    if (!drained || !delivered) {
+      throw new SyncError('Quedan operaciones pendientes de sincronizar');
+    }
+  }
+
+  // Conversiones guardadas antes de la cola que nunca se enviaron
+  async function enqueueLegacyConversions() {
+    const conversions = await repository.getAllConversions();
+    const operations = await repository.getOperations();
+    const queued = new Set(operations.map(operation => operation.payload?.uuid).filter(Boolean));
+    const legacy = conversions.filter(conversion => !conversion.synced && !queued.has(conversion.uuid));
+
+    if (legacy.length === 0) return;
+
+    legacy.forEach(conversion => { conversion.uuid = conversion.uuid ?? createId(); });
+    await repository.putConversions(legacy);
+    await repository.putOperations(legacy.map(conversion =>
+      createOperation(OPERATIONS.SAVE_CONVERSION, toWireConversion(conversion))
+    ));
+  }
+
+  // Envía las operaciones en orden. Devuelve true si la cola quedó vacía
+  // (sin contar las descartadas) y false si alguna espera un reintento.
+  async function processOutbox() {
+    for (;;) {
+      const batch = nextBatch(await repository.getOperations());
+
+      if (!batch.ready) {
+        return batch.retryAt === undefined;
+      }
+
+      try {
+        await sendOperations(batch.operations);
+        await repository.deleteOperations(batch.operations.map(operation => operation.id));
+        console.log(`${logPrefix} ${batch.operations.length} operaciones sincronizadas (${batch.operations[0].type})`);
+      } catch (error) {
+        console.error(`${logPrefix} Error enviando operaciones:`, error);
+        await repository.putOperations(batch.operations.map(operation => recordFailure(operation, error)));
+        return false;
+      }
+    }
+  }
+
+  async function sendOperations(operations) {
+    const payloads = operations.map(operation => operation.payload);
+    let acknowledged;
+
+    switch (operations[0].type) {
+      case OPERATIONS.SAVE_CONVERSION:
+        acknowledged = await syncConversionsToServer(payloads);
+        break;
+      case OPERATIONS.DELETE_CONVERSION:
+        acknowledged = await deleteConversionsOnServer(payloads.map(payload => payload.uuid));
+        break;
+      case OPERATIONS.SAVE_PREFERENCE:
+        acknowledged = await syncPreferencesToServer(payloads);
+        break;
+      case OPERATIONS.CLEAR_HISTORY:
+        await clearHistoryOnServer(payloads[0]);
+        return;
+      default:
+        throw new SyncError(`Operación desconocida: ${operations[0].type}`);
+    }
+
+    const missing = payloads.filter(payload => !acknowledged.has(payload.uuid ?? payload.key));
+    if (missing.length > 0) {
+      throw new SyncError(`El servidor no confirmó ${missing.length} de ${payloads.length} operaciones`);
+    }
+  }
+
+  async function syncConversionsToServer(conversions = []) {
+    console.log(`${logPrefix} Iniciando sincronización de conversiones...`);
+
+    const { endpoint, deviceId, cursor } = await getSyncSettings();
+    const response = await postSync(`${endpoint}/sync-conversions`, { deviceId, since: cursor, conversions }, fetch);
+    const acknowledged = new Set(response.acknowledged);
+
+    // Marcar como sincronizadas solo las que el servidor confirmó
+    const local = await repository.getAllConversions();
+    const confirmed = local.filter(conversion => !conversion.synced && acknowledged.has(conversion.uuid));
+    confirmed.forEach(conversion => { conversion.synced = 1; });
+    await repository.putConversions(confirmed);
+
+    // Incorporar las conversiones nuevas o repetidas en otros dispositivos
+    const remote = mergeRemoteConversions(local, validRemoteConversions(response.conversions));
+    await repository.putConversions(remote);
+
+    if (response.cursor !== undefined) {
+      await repository.setLocalPreference('syncCursor', response.cursor);
+    }
+
+    console.log(`${logPrefix} Conversiones sincronizadas: ${confirmed.length} enviadas, ${remote.length} recibidas`);
+    return acknowledged;
+  }
+
+  async function syncPreferencesToServer(preferences = []) {
+    console.log(`${logPrefix} Iniciando sincronización de preferencias...`);
+
+    const { endpoint, deviceId } = await getSyncSettings();
+    const response = await postSync(`${endpoint}/sync-preferences`, { deviceId, preferences: syncablePreferences(preferences) }, fetch);
+    const acknowledged = new Set(response.acknowledged);
+
+    // Confirmar solo si la preferencia no cambió mientras se enviaba
+    const current = await repository.getPreferenceRecords();
+    const sent = new Map(preferences.map(preference => [preference.key, preference]));
+    const confirmed = current
+      .filter(record => acknowledged.has(record.key) && sent.has(record.key))
+      .filter(record => compareVersions(record, sent.get(record.key)) === 0)
+      .map(record => ({ ...record, synced: true }));
+    await repository.putPreferences(confirmed);
+
+    // Pull: las versiones remotas ganadoras reemplazan a las locales
+    const remoteWinners = mergePreferences(current, syncablePreferences(response.preferences ?? []));
+    const remote = remoteWinners.map(preference => ({ ...preference, synced: true }));
+    await repository.putPreferences(remote);
+
+    console.log(`${logPrefix} Preferencias sincronizadas: ${confirmed.length} enviadas, ${remote.length} recibidas`);
+    return acknowledged;
+  }
+
+  async function deleteConversionsOnServer(uuids) {
+    const { endpoint, deviceId } = await getSyncSettings();
+    const response = await postSync(`${endpoint}/delete-conversions`, { deviceId, uuids }, fetch);
+    return new Set(response.acknowledged);
+  }
+
+  async function clearHistoryOnServer({ before }) {
+    const { endpoint, deviceId } = await getSyncSettings();
+    await postSync(`${endpoint}/clear-history`, { deviceId, before }, fetch);
+  }
+
+  // Conversiones del servidor que se pueden guardar; las demás (unidad o
+  // categoría desconocida, valor fuera de rango...) se descartan como al importar
+  function validRemoteConversions(conversions = []) {
+    return conversions.flatMap(record => {
+      const { conversion, reason } = validateConversion(record);
+      if (reason) {
+        console.warn(`${logPrefix} Conversión remota descartada (${reason}):`, record?.uuid);
+        return [];
+      }
+      return [conversion];
+    });
+  }
+
+  // Entrega en curso: el evento sync y SUBMIT_CONTACT pueden pedirla a la vez
+  // y cada envío solo debe enviarse una vez
+  let contactDelivery = null;
+
+  // Entrega los envíos de contacto pendientes. Devuelve false si alguno
+  // sigue en cola esperando un reintento.
+  function processContactSubmissions() {
+    if (!contactDelivery) {
+      contactDelivery = deliverContactSubmissions().finally(() => {
+        contactDelivery = null;
+      });
+    }
+    return contactDelivery;
+  }
+
+  async function deliverContactSubmissions() {
+    const due = dueSubmissions(await repository.getContactSubmissions());
+
+    if (due.length > 0) {
+      const { contactEndpoint, deviceId } = await getSyncSettings();
+      try {
+        const response = await postSync(contactEndpoint, { deviceId, submissions: due.map(toWireSubmission) }, fetch);
+        const acknowledged = new Set(response.acknowledged);
+        await repository.putContactSubmissions(due.map(submission => acknowledged.has(submission.uuid)
+          ? markSent(submission)
+          : markFailure(submission, new SyncError('El servidor no confirmó el envío'))));
+        console.log(`${logPrefix} Envíos de contacto confirmados: ${acknowledged.size} de ${due.length}`);
+      } catch (error) {
+        console.error(`${logPrefix} Error entregando envíos de contacto:`, error);
+        await repository.putContactSubmissions(due.map(submission => markFailure(submission, error)));
+      }
+    }
+
+    const submissions = await repository.getContactSubmissions();
+    return !submissions.some(submission => submission.status === SUBMISSION_STATUS.QUEUED);
+  }
+
+  async function getStatus() {
+    return summarize(await repository.getOperations());
+  }
+
+  return {
+    runSync,
+    processOutbox,
+    processContactSubmissions,
+    syncConversionsToServer,
+    syncPreferencesToServer,
+    getStatus
+  };
+}
@@ -0,0 +1,91 @@
+// sync.mjs - Protocolo de sincronización con el servidor
+//
+// POST {endpoint}/sync-conversions
+//   → { deviceId, since, conversions: [{ uuid, value, category, fromUnit, toUnit, mode, expression, result, resultValue, count, timestamp }] }
+//   ← { acknowledged: [uuid], conversions: [...de otros dispositivos], cursor }
+//   Una conversión repetida conserva su uuid: el servidor la reemplaza
+//   y vuelve a entregarla a los demás dispositivos con su nuevo `count`.
+//
+// POST {endpoint}/sync-preferences
+//   → { deviceId, preferences: [{ key, value, timestamp, version }] }
+//   ← { acknowledged: [key], preferences: [{ key, value, timestamp, version }] }
+//   El servidor guarda por clave la versión ganadora (ver lib/conflict.mjs).
+//
+// POST {endpoint}/delete-conversions
+//   → { deviceId, uuids: [uuid] }
+//   ← { acknowledged: [uuid] }
+//
+// POST {endpoint}/clear-history
+//   → { deviceId, before }
+//   ← { acknowledged: [], removed }
+//
+// Un registro solo se marca como sincronizado cuando su uuid/key
+// aparece en `acknowledged`.
+import { MODES } from './temperature.mjs';
+import { DEFAULT_CATEGORY } from './units.mjs';
+
+export const DEFAULT_SYNC_ENDPOINT = '/api';
+
+// Preferencias propias de este dispositivo que nunca se envían al servidor
+export const LOCAL_PREFERENCE_KEYS = ['deviceId', 'syncCursor', 'syncEndpoint', 'contactEndpoint'];
+
+export class SyncError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+  }
+}
+
+export function createId() {
+  return crypto.randomUUID();
+}
+
+export async function postSync(url, payload, fetchImpl = fetch) {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    throw new SyncError(`Sin conexión con ${url}: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new SyncError(`El servidor respondió ${response.status}`, response.status);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!body || !Array.isArray(body.acknowledged)) {
+    throw new SyncError('Respuesta de sincronización inválida', response.status);
+  }
+  return body;
+}
+
+export function toWireConversion({ uuid, value, category = DEFAULT_CATEGORY, fromUnit, toUnit, mode = MODES.ABSOLUTE, expression = null, result, resultValue, count = 1, timestamp }) {
+  return { uuid, value, category, fromUnit, toUnit, mode, expression, result, resultValue, count, timestamp };
+}
+
+// Conversiones del servidor nuevas o más recientes que la copia local.
+// Las actualizaciones conservan el id local del registro.
+export function mergeRemoteConversions(localConversions, remoteConversions = []) {
+  const known = new Map(localConversions.map(conversion => [conversion.uuid, conversion]));
+  return remoteConversions
+    .filter(conversion => conversion.uuid)
+    .filter(conversion => {
+      const local = known.get(conversion.uuid);
+      return !local || conversion.timestamp > local.timestamp;
+    })
+    .map(conversion => {
+      const local = known.get(conversion.uuid);
+      return { ...(local && { id: local.id }), ...toWireConversion(conversion), synced: 1 };
+    });
+}
+
+export function syncablePreferences(records) {
+  return records
+    .filter(record => !LOCAL_PREFERENCE_KEYS.includes(record.key))
+    .map(({ key, value, timestamp, version }) => ({ key, value, timestamp, version }));
+}
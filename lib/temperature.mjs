@@ -0,0 +1,75 @@
+// temperature.mjs - Motor de conversión de temperaturas
+// Módulo ES sin dependencias del DOM: lo pueden importar la página,
+// el Service Worker y scripts de Node.
+import { InvalidUnitError, InvalidModeError } from './errors.mjs';
+
+// Cada escala se define por su relación lineal con Kelvin:
+//   kelvin = valor * factor + offset
+// Para agregar una escala basta con agregar una entrada a esta tabla.
+export const SCALES = {
+  c: { name: 'Celsius', symbol: '°C', factor: 1, offset: 273.15 },
+  f: { name: 'Fahrenheit', symbol: '°F', factor: 5 / 9, offset: 459.67 * 5 / 9 },
+  k: { name: 'Kelvin', symbol: 'K', factor: 1, offset: 0 },
+  r: { name: 'Rankine', symbol: '°R', factor: 5 / 9, offset: 0 },
+  re: { name: 'Réaumur', symbol: '°Ré', factor: 5 / 4, offset: 273.15 },
+  de: { name: 'Delisle', symbol: '°De', factor: -2 / 3, offset: 373.15 },
+  n: { name: 'Newton', symbol: '°N', factor: 100 / 33, offset: 273.15 },
+  ro: { name: 'Rømer', symbol: '°Rø', factor: 40 / 21, offset: 273.15 - 7.5 * 40 / 21 }
+};
+
+// Un valor puede ser una temperatura (absolute) o una diferencia entre dos
+// temperaturas (interval). Un intervalo solo se escala por el factor:
+// subir 10 °C es subir 18 °F, aunque 10 °C sean 50 °F.
+export const MODES = {
+  ABSOLUTE: 'absolute',
+  INTERVAL: 'interval'
+};
+
+export function getMode(mode = MODES.ABSOLUTE) {
+  if (!Object.values(MODES).includes(mode)) {
+    throw new InvalidModeError(mode);
+  }
+  return mode;
+}
+
+export function getScale(unit) {
+  if (!Object.hasOwn(SCALES, unit)) {
+    throw new InvalidUnitError(unit);
+  }
+  return SCALES[unit];
+}
+
+export function listScales() {
+  return Object.entries(SCALES).map(([id, scale]) => ({ id, ...scale }));
+}
+
+export function toKelvin(value, unit) {
+  const { factor, offset } = getScale(unit);
+  return value * factor + offset;
+}
+
+export function fromKelvin(kelvin, unit) {
+  const { factor, offset } = getScale(unit);
+  return (kelvin - offset) / factor;
+}
+
+// Símbolo para mostrar: los intervalos se marcan con Δ (Δ°F, ΔK)
+export function unitSymbol(unit, mode = MODES.ABSOLUTE) {
+  const { symbol } = getScale(unit);
+  return getMode(mode) === MODES.INTERVAL ? `Δ${symbol}` : symbol;
+}
+
+export function convertInterval(delta, fromUnit, toUnit) {
+  return delta * getScale(fromUnit).factor / getScale(toUnit).factor;
+}
+
+export function convertTemp(value, fromUnit, toUnit, mode = MODES.ABSOLUTE) {
+  if (getMode(mode) === MODES.INTERVAL) {
+    return convertInterval(value, fromUnit, toUnit);
+  }
+  if (fromUnit === toUnit) {
+    getScale(fromUnit);
+    return value;
+  }
+  return fromKelvin(toKelvin(value, fromUnit), toUnit);
+}
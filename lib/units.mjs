@@ -0,0 +1,177 @@
+// units.mjs - Categorías de unidades: temperatura, longitud, masa, volumen,
+// velocidad y presión
+//
+// Cada categoría define sus unidades y cómo convertir entre ellas:
+//   convert(value, fromUnit, toUnit, mode)  un valor (temperatura: absoluto o intervalo)
+//   convertDelta(delta, fromUnit, toUnit)   una diferencia (solo el factor)
+//   validate(value, unit, mode)             lanza un ConversionError si no es válido
+// La temperatura usa lib/temperature.mjs. Las demás son lineales respecto de
+// una unidad base (valor_base = valor * factor), así que en ellas un
+// intervalo se convierte igual que un valor.
+//
+// Los ids de unidad son únicos entre todas las categorías: un id basta para
+// saber a qué categoría pertenece. Los nombres se traducen con la clave de
+// i18n `units.<id>`, salvo las escalas de temperatura (nombres propios).
+import { SCALES, MODES, getMode, convertTemp, convertInterval, unitSymbol } from './temperature.mjs';
+import { validateTemperature } from './validation.mjs';
+import { InvalidUnitError, InvalidCategoryError, NonFiniteValueError, NegativeValueError } from './errors.mjs';
+
+export const DEFAULT_CATEGORY = 'temperature';
+
+function linearCategory({ units, defaults, allowNegative = false }) {
+  function factor(unit) {
+    if (!Object.hasOwn(units, unit)) {
+      throw new InvalidUnitError(unit);
+    }
+    return units[unit].factor;
+  }
+
+  function convertDelta(value, fromUnit, toUnit) {
+    const from = factor(fromUnit);
+    const to = factor(toUnit);
+    return fromUnit === toUnit ? value : value * from / to;
+  }
+
+  return {
+    units,
+    defaults,
+    intervals: false,
+    convert: (value, fromUnit, toUnit, mode) => {
+      getMode(mode);
+      return convertDelta(value, fromUnit, toUnit);
+    },
+    convertDelta,
+    validate(value, unit, mode) {
+      factor(unit);
+      getMode(mode);
+      if (!Number.isFinite(value)) {
+        throw new NonFiniteValueError(value);
+      }
+      if (!allowNegative && value < 0) {
+        throw new NegativeValueError(value, unit);
+      }
+      return value;
+    }
+  };
+}
+
+export const CATEGORIES = {
+  temperature: {
+    units: SCALES,
+    defaults: { fromUnit: 'c', toUnit: 'f' },
+    intervals: true,
+    convert: convertTemp,
+    convertDelta: convertInterval,
+    validate: validateTemperature
+  },
+  length: linearCategory({
+    defaults: { fromUnit: 'km', toUnit: 'mi' },
+    units: {
+      m: { symbol: 'm', factor: 1 },
+      km: { symbol: 'km', factor: 1000 },
+      cm: { symbol: 'cm', factor: 0.01 },
+      mm: { symbol: 'mm', factor: 0.001 },
+      mi: { symbol: 'mi', factor: 1609.344 },
+      yd: { symbol: 'yd', factor: 0.9144 },
+      ft: { symbol: 'ft', factor: 0.3048 },
+      in: { symbol: 'in', factor: 0.0254 },
+      nmi: { symbol: 'nmi', factor: 1852 }
+    }
+  }),
+  mass: linearCategory({
+    defaults: { fromUnit: 'kg', toUnit: 'lb' },
+    units: {
+      kg: { symbol: 'kg', factor: 1 },
+      g: { symbol: 'g', factor: 0.001 },
+      mg: { symbol: 'mg', factor: 1e-6 },
+      t: { symbol: 't', factor: 1000 },
+      lb: { symbol: 'lb', factor: 0.45359237 },
+      oz: { symbol: 'oz', factor: 0.028349523125 },
+      st: { symbol: 'st', factor: 6.35029318 }
+    }
+  }),
+  // Medidas de Estados Unidos para galón, cuarto, pinta, taza y onza líquida
+  volume: linearCategory({
+    defaults: { fromUnit: 'l', toUnit: 'gal' },
+    units: {
+      l: { symbol: 'L', factor: 1 },
+      ml: { symbol: 'mL', factor: 0.001 },
+      m3: { symbol: 'm³', factor: 1000 },
+      gal: { symbol: 'gal', factor: 3.785411784 },
+      qt: { symbol: 'qt', factor: 0.946352946 },
+      pt: { symbol: 'pt', factor: 0.473176473 },
+      cup: { symbol: 'cup', factor: 0.2365882365 },
+      floz: { symbol: 'fl oz', factor: 0.0295735295625 }
+    }
+  }),
+  speed: linearCategory({
+    defaults: { fromUnit: 'kmh', toUnit: 'mph' },
+    allowNegative: true,
+    units: {
+      mps: { symbol: 'm/s', factor: 1 },
+      kmh: { symbol: 'km/h', factor: 1 / 3.6 },
+      mph: { symbol: 'mph', factor: 0.44704 },
+      kn: { symbol: 'kn', factor: 1852 / 3600 },
+      fps: { symbol: 'ft/s', factor: 0.3048 }
+    }
+  }),
+  // Se admiten valores negativos para poder convertir presiones manométricas
+  pressure: linearCategory({
+    defaults: { fromUnit: 'bar', toUnit: 'psi' },
+    allowNegative: true,
+    units: {
+      pa: { symbol: 'Pa', factor: 1 },
+      hpa: { symbol: 'hPa', factor: 100 },
+      kpa: { symbol: 'kPa', factor: 1000 },
+      bar: { symbol: 'bar', factor: 100000 },
+      atm: { symbol: 'atm', factor: 101325 },
+      psi: { symbol: 'psi', factor: 6894.757293168 },
+      mmhg: { symbol: 'mmHg', factor: 133.322387415 }
+    }
+  })
+};
+
+export function getCategory(category = DEFAULT_CATEGORY) {
+  if (!Object.hasOwn(CATEGORIES, category)) {
+    throw new InvalidCategoryError(category);
+  }
+  return CATEGORIES[category];
+}
+
+export function listCategories() {
+  return Object.keys(CATEGORIES);
+}
+
+/** @returns {{ id: string, symbol: string }[]} */
+export function listUnits(category = DEFAULT_CATEGORY) {
+  return Object.entries(getCategory(category).units).map(([id, unit]) => ({ id, symbol: unit.symbol }));
+}
+
+// Categoría a la que pertenece una unidad (null si no existe)
+export function categoryOf(unit) {
+  return listCategories().find(category => Object.hasOwn(CATEGORIES[category].units, unit)) ?? null;
+}
+
+export function hasUnit(category, unit) {
+  return Object.hasOwn(CATEGORIES, category) && Object.hasOwn(CATEGORIES[category].units, unit);
+}
+
+export function convertUnit(value, fromUnit, toUnit, { category = DEFAULT_CATEGORY, mode = MODES.ABSOLUTE } = {}) {
+  return getCategory(category).convert(value, fromUnit, toUnit, mode);
+}
+
+export function validateValue(value, unit, { category = DEFAULT_CATEGORY, mode = MODES.ABSOLUTE } = {}) {
+  return getCategory(category).validate(value, unit, mode);
+}
+
+// Símbolo de cualquier unidad; los intervalos de temperatura llevan Δ
+export function quantitySymbol(unit, mode = MODES.ABSOLUTE) {
+  const category = categoryOf(unit);
+  if (!category) throw new InvalidUnitError(unit);
+  return category === 'temperature' ? unitSymbol(unit, mode) : CATEGORIES[category].units[unit].symbol;
+}
+
+// Nombre para mostrar; `translate` es t() de lib/i18n.mjs
+export function unitName(unit, translate) {
+  return categoryOf(unit) === 'temperature' ? SCALES[unit].name : translate(`units.${unit}`);
+}
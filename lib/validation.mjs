@@ -0,0 +1,35 @@
+// validation.mjs - Validación de entradas del conversor
+import { MODES, getMode, getScale, toKelvin, fromKelvin } from './temperature.mjs';
+import { InvalidNumberError, NonFiniteValueError, BelowAbsoluteZeroError } from './errors.mjs';
+
+// Tolerancia para no rechazar el cero absoluto exacto por errores de redondeo
+const KELVIN_EPSILON = 1e-9;
+
+export function absoluteZero(unit) {
+  return fromKelvin(0, unit);
+}
+
+export function parseNumber(input) {
+  const text = String(input).trim();
+  if (text === '' || !/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+    throw new InvalidNumberError(input);
+  }
+  return Number(text);
+}
+
+// Un intervalo puede ser negativo: no se compara con el cero absoluto
+export function validateTemperature(value, unit, mode = MODES.ABSOLUTE) {
+  getScale(unit);
+  if (!Number.isFinite(value)) {
+    throw new NonFiniteValueError(value);
+  }
+  if (getMode(mode) === MODES.ABSOLUTE && toKelvin(value, unit) < -KELVIN_EPSILON) {
+    throw new BelowAbsoluteZeroError(value, unit, absoluteZero(unit));
+  }
+  return value;
+}
+
+// Convierte el texto del usuario en una temperatura válida o lanza un ConversionError
+export function parseTemperature(input, unit, mode = MODES.ABSOLUTE) {
+  return validateTemperature(parseNumber(input), unit, mode);
+}
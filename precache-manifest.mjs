@@ -0,0 +1,46 @@
+// precache-manifest.mjs - Generado por scripts/generate-precache-manifest.mjs. No editar a mano.
+export const BUILD = 'edc294a6e10b199c';
+
+export default [
+  { url: '/', revision: 'c749d45aa39b8e3a' },
+  { url: '/converter.css', revision: '70f14604d79fcc11' },
+  { url: '/converter.js', revision: '105cd2df8a7eab35' },
+  { url: '/favicon.jpg', revision: 'e09305d68501cc81' },
+  { url: '/form.html', revision: 'd3f55d1009b2d12a' },
+  { url: '/icon.png', revision: 'bb0c8ff9388fbd2a' },
+  { url: '/index.html', revision: 'c749d45aa39b8e3a' },
+  { url: '/lib/batch.mjs', revision: '25f236681bac5e5f' },
+  { url: '/lib/conflict.mjs', revision: '360f10bb472d5ca4' },
+  { url: '/lib/connectivity.mjs', revision: 'd9029b0a42650d13' },
+  { url: '/lib/contact.mjs', revision: 'be70cca3fe42760b' },
+  { url: '/lib/converter-state.mjs', revision: '74b2ec89bc7da099' },
+  { url: '/lib/csv.mjs', revision: '331680c9ee3b7d07' },
+  { url: '/lib/data-transfer.mjs', revision: 'b94cf4a5faed941a' },
+  { url: '/lib/errors.mjs', revision: '304d9ab6cdc2791f' },
+  { url: '/lib/expression.mjs', revision: '4a46590221724307' },
+  { url: '/lib/history-policy.mjs', revision: 'f5d5787638333660' },
+  { url: '/lib/history-query.mjs', revision: '09bf2588e582b76d' },
+  { url: '/lib/history-stats.mjs', revision: '4a071a5c26eb9c7c' },
+  { url: '/lib/i18n.mjs', revision: 'db9fd6e0bed792dc' },
+  { url: '/lib/locales/en.mjs', revision: '5e4a1170c948113b' },
+  { url: '/lib/locales/es.mjs', revision: '59aad2ae8fbf4d89' },
+  { url: '/lib/messages.mjs', revision: '24d2ced231617043' },
+  { url: '/lib/migrations.mjs', revision: '4d04770c905b5078' },
+  { url: '/lib/number-format.mjs', revision: '1d2b1e88c82503ff' },
+  { url: '/lib/outbox.mjs', revision: '629014c65d3aaab5' },
+  { url: '/lib/precache.mjs', revision: '4f3ad843bf887b58' },
+  { url: '/lib/reference-table.mjs', revision: 'f5deaf2e9a25e1c6' },
+  { url: '/lib/release.mjs', revision: 'b84437ed05edd2bf' },
+  { url: '/lib/repository.mjs', revision: 'cfebb73935b70b46' },
+  { url: '/lib/routing.mjs', revision: '0f02666e1c61a4c5' },
+  { url: '/lib/rpc.mjs', revision: '0fa309c4cfa396b6' },
+  { url: '/lib/svg-chart.mjs', revision: 'd58d9cb2600feded' },
+  { url: '/lib/sw-client.mjs', revision: '2920322e36f1aad2' },
+  { url: '/lib/sync-service.mjs', revision: 'a2a4b2cacf3c0051' },
+  { url: '/lib/sync.mjs', revision: 'dd464d27b2b9f108' },
+  { url: '/lib/temperature.mjs', revision: 'd14d0aa20a6faea8' },
+  { url: '/lib/units.mjs', revision: '451a03ebb45374fe' },
+  { url: '/lib/validation.mjs', revision: '92b3599d76b01aee' },
+  { url: '/manifest.json', revision: 'd7f55e005d4871bc' },
+  { url: '/offline.html', revision: 'b6a7e138157e6e96' }
+];
@@ -0,0 +1,98 @@
+// check-migrations.mjs - Comprueba las migraciones contra bases de datos de ejemplo
+//
+// Cada archivo de scripts/fixtures/ describe una base de datos en una versión
+// antigua ({ version, stores, expected }). El script la crea con esa versión,
+// la vuelve a abrir en LATEST_VERSION y comprueba la forma de los registros.
+//
+// Necesita una implementación de IndexedDB para Node:
+//   npm install --no-save fake-indexeddb
+// Uso: node scripts/check-migrations.mjs
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { LATEST_VERSION, STORES, openMigratedDatabase } from '../lib/migrations.mjs';
+import { hasUnit } from '../lib/units.mjs';
+import { MODES } from '../lib/temperature.mjs';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+// Los avisos de las migraciones no interesan aquí
+const report = console.log.bind(console);
+console.log = () => {};
+console.warn = () => {};
+
+let indexedDB;
+try {
+  ({ indexedDB } = await import('fake-indexeddb'));
+} catch {
+  console.error('[DB] Falta fake-indexeddb: npm install --no-save fake-indexeddb');
+  process.exit(1);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Base de datos en la versión del fixture, con sus registros tal cual
+async function createFixtureDatabase(name, fixture) {
+  const db = await openMigratedDatabase(indexedDB, name, fixture.version);
+  const storeNames = Object.keys(fixture.stores);
+  const transaction = db.transaction(storeNames, 'readwrite');
+  storeNames.forEach(storeName => {
+    fixture.stores[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+  });
+  await transactionToPromise(transaction);
+  db.close();
+}
+
+function checkConversion(conversion) {
+  assert.equal(typeof conversion.uuid, 'string');
+  assert.ok(Number.isFinite(conversion.value), `valor no numérico: ${conversion.value}`);
+  assert.ok(Number.isFinite(conversion.resultValue), `resultado no numérico: ${conversion.resultValue}`);
+  assert.equal(conversion.category, 'temperature');
+  assert.ok(hasUnit(conversion.category, conversion.fromUnit) && hasUnit(conversion.category, conversion.toUnit));
+  assert.equal(conversion.mode, MODES.ABSOLUTE);
+  assert.equal(conversion.count, 1);
+  assert.ok(conversion.synced === 0 || conversion.synced === 1);
+}
+
+async function checkFixture(file) {
+  const fixture = JSON.parse(await readFile(new URL(file, FIXTURES), 'utf8'));
+  const name = `fixture-${file}`;
+  await createFixtureDatabase(name, fixture);
+
+  const db = await openMigratedDatabase(indexedDB, name, LATEST_VERSION);
+  assert.equal(db.version, LATEST_VERSION);
+  assert.deepEqual([...db.objectStoreNames].sort(), Object.values(STORES).sort());
+
+  const transaction = db.transaction([STORES.CONVERSIONS, STORES.PREFERENCES], 'readonly');
+  const conversionStore = transaction.objectStore(STORES.CONVERSIONS);
+  assert.ok(conversionStore.indexNames.contains('fromUnit'));
+  const conversions = await requestToPromise(conversionStore.getAll());
+  const preferences = await requestToPromise(transaction.objectStore(STORES.PREFERENCES).getAll());
+  db.close();
+
+  conversions.forEach(checkConversion);
+  assert.equal(conversions.length, fixture.expected.conversions);
+  assert.equal(fixture.stores.conversions.length - conversions.length, fixture.expected.discarded);
+  assert.equal(new Set(conversions.map(conversion => conversion.uuid)).size, conversions.length);
+  assert.equal(preferences.length, fixture.stores.preferences.length);
+
+  report(`[DB] ${file}: v${fixture.version} → v${LATEST_VERSION}, ${conversions.length} conversiones, ${fixture.expected.discarded} descartadas`);
+}
+
+const files = (await readdir(FIXTURES)).filter(file => file.endsWith('.json'));
+for (const file of files) {
+  await checkFixture(file);
+}
+report(`[DB] ${files.length} fixtures migrados correctamente`);
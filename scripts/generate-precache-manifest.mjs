@@ -0,0 +1,89 @@
+// generate-precache-manifest.mjs - Genera precache-manifest.mjs con el hash de cada recurso
+// El Service Worker usa el manifiesto para descargar solo los recursos
+// cuyo contenido cambió, así que hay que volver a ejecutarlo antes de publicar.
+//
+// Uso: node scripts/generate-precache-manifest.mjs [--check]
+//   --check  no escribe nada; termina con error si el manifiesto está desactualizado
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { extname, join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const OUTPUT = join(ROOT, 'precache-manifest.mjs');
+
+const EXTENSIONS = ['.html', '.js', '.mjs', '.css', '.json', '.png', '.jpg', '.svg', '.ico'];
+
+// Directorios y archivos que no forman parte de la app publicada
+const IGNORED = [
+  '.git',
+  '.github',
+  'node_modules',
+  'scripts',
+  'sw.js',
+  'sync-sw.js',
+  'precache-manifest.mjs'
+];
+
+// La raíz sirve index.html
+const ALIASES = { '/index.html': ['/'] };
+
+async function listFiles(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async entry => {
+    const path = join(directory, entry.name);
+    if (IGNORED.includes(relative(ROOT, path).split(sep).join('/'))) return [];
+    if (entry.isDirectory()) return listFiles(path);
+    return EXTENSIONS.includes(extname(entry.name)) ? [path] : [];
+  }));
+  return files.flat();
+}
+
+async function buildManifest() {
+  const files = (await listFiles(ROOT)).sort();
+  const manifest = [];
+
+  for (const file of files) {
+    const url = '/' + relative(ROOT, file).split(sep).join('/');
+    const revision = createHash('sha256').update(await readFile(file)).digest('hex').slice(0, 16);
+    for (const alias of [url, ...(ALIASES[url] ?? [])]) {
+      manifest.push({ url: alias, revision });
+    }
+  }
+  return manifest.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+// Identificador del conjunto de recursos: cambia si cambia cualquier revisión
+function buildId(manifest) {
+  const hash = createHash('sha256');
+  manifest.forEach(entry => hash.update(`${entry.url} ${entry.revision}\n`));
+  return hash.digest('hex').slice(0, 16);
+}
+
+function render(manifest) {
+  const lines = manifest.map(entry => `  { url: '${entry.url}', revision: '${entry.revision}' }`);
+  return `// precache-manifest.mjs - Generado por scripts/generate-precache-manifest.mjs. No editar a mano.
+export const BUILD = '${buildId(manifest)}';
+
+export default [
+${lines.join(',\n')}
+];
+`;
+}
+
+const manifest = await buildManifest();
+const content = render(manifest);
+const current = await readFile(OUTPUT, 'utf-8').catch(() => null);
+
+if (process.argv.includes('--check')) {
+  if (content !== current) {
+    console.error('precache-manifest.mjs está desactualizado: ejecuta node scripts/generate-precache-manifest.mjs');
+    process.exit(1);
+  }
+  console.log('precache-manifest.mjs está al día');
+} else if (content === current) {
+  console.log('precache-manifest.mjs sin cambios');
+} else {
+  await writeFile(OUTPUT, content);
+  console.log(`precache-manifest.mjs actualizado (${manifest.length} recursos)`);
+}
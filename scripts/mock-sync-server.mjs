@@ -0,0 +1,172 @@
+// mock-sync-server.mjs - Servidor local para probar la sincronización
+// Sirve los archivos de la app e implementa /api/sync-conversions,
+// /api/sync-preferences, /api/delete-conversions, /api/contact y
+// /api/clear-history en memoria
+// (ver lib/sync.mjs para el protocolo).
+//
+// Uso: node scripts/mock-sync-server.mjs [puerto]
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolveConflict } from '../lib/conflict.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+};
+
+// Estado del servidor: conversiones en orden de llegada y preferencias por clave
+const conversions = [];
+const preferences = new Map();
+const contactSubmissions = new Map();
+let sequence = 0;
+
+function syncConversions({ deviceId, since, conversions: incoming = [] }) {
+  const acknowledged = [];
+
+  for (const conversion of incoming) {
+    if (!conversion.uuid) continue;
+    const index = conversions.findIndex(existing => existing.uuid === conversion.uuid);
+    if (index === -1) {
+      conversions.push({ ...conversion, deviceId, seq: ++sequence });
+    } else if (conversion.timestamp > conversions[index].timestamp) {
+      // Conversión repetida: reemplazarla y volver a entregarla
+      conversions.splice(index, 1);
+      conversions.push({ ...conversion, deviceId, seq: ++sequence });
+    }
+    acknowledged.push(conversion.uuid);
+  }
+
+  const cursor = Number(since) || 0;
+  return {
+    acknowledged,
+    conversions: conversions
+      .filter(conversion => conversion.seq > cursor && conversion.deviceId !== deviceId)
+      .map(({ deviceId: _, seq, ...conversion }) => conversion),
+    cursor: sequence
+  };
+}
+
+function syncPreferences({ preferences: incoming = [] }) {
+  const acknowledged = [];
+
+  for (const preference of incoming) {
+    if (!preference.key) continue;
+    const current = preferences.get(preference.key);
+    preferences.set(preference.key, resolveConflict(current, preference));
+    acknowledged.push(preference.key);
+  }
+
+  return {
+    acknowledged,
+    preferences: [...preferences.values()]
+  };
+}
+
+function deleteConversions({ uuids = [] }) {
+  const removed = new Set(uuids);
+  const remaining = conversions.filter(conversion => !removed.has(conversion.uuid));
+  conversions.splice(0, conversions.length, ...remaining);
+  return { acknowledged: [...removed] };
+}
+
+function receiveContact({ deviceId, submissions = [] }) {
+  const acknowledged = [];
+  for (const submission of submissions) {
+    if (!submission.uuid || !submission.email) continue;
+    contactSubmissions.set(submission.uuid, { ...submission, deviceId, receivedAt: Date.now() });
+    acknowledged.push(submission.uuid);
+  }
+  return { acknowledged };
+}
+
+// Solo borra el historial del dispositivo que lo pide
+function clearHistory({ deviceId, before }) {
+  const cutoff = Number(before) || 0;
+  const remaining = conversions.filter(conversion =>
+    conversion.deviceId !== deviceId || conversion.timestamp > cutoff);
+  const removed = conversions.length - remaining.length;
+  conversions.splice(0, conversions.length, ...remaining);
+  return { acknowledged: [], removed };
+}
+
+const ROUTES = {
+  '/api/sync-conversions': syncConversions,
+  '/api/sync-preferences': syncPreferences,
+  '/api/delete-conversions': deleteConversions,
+  '/api/contact': receiveContact,
+  '/api/clear-history': clearHistory
+};
+
+async function readJson(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}');
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  response.end(JSON.stringify(body));
+}
+
+async function serveStatic(pathname, response) {
+  const relative = pathname === '/' ? 'index.html' : pathname.slice(1);
+  let decoded;
+  try {
+    decoded = decodeURIComponent(relative);
+  } catch {
+    response.writeHead(400).end();
+    return;
+  }
+  const file = normalize(join(ROOT, decoded));
+
+  if (!file.startsWith(ROOT) || file.split(sep).includes('.git')) {
+    response.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const content = await readFile(file);
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] ?? 'application/octet-stream' });
+    response.end(content);
+  } catch {
+    response.writeHead(404).end();
+  }
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+  const handler = ROUTES[pathname];
+
+  if (!handler) {
+    await serveStatic(pathname, response);
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    sendJson(response, 405, { error: 'Método no permitido' });
+    return;
+  }
+
+  try {
+    const body = await readJson(request);
+    const result = handler(body);
+    console.log(`[Mock] ${pathname} ← ${body.deviceId}: ${result.acknowledged.length} confirmados`);
+    sendJson(response, 200, result);
+  } catch (error) {
+    sendJson(response, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[Mock] Servidor de sincronización en http://localhost:${PORT}`);
+});
@@ -1,58 +1,66 @@
 // sw.js - Service Worker Unificado (Caché + Sincronización)
-const CACHE_NAME = 'temperature-converter-v2';
-const SYNC_DB_NAME = 'temperature-sync-db';
-const SYNC_DB_VERSION = 1;
-const CONVERSIONS_STORE = 'conversions';
-const PREFERENCES_STORE = 'preferences';
-const SYNC_QUEUE_STORE = 'sync-queue';
-
-// Recursos para cachear
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/converter.js',
-  '/converter.css',
-  '/manifest.json'
+// Se registra como módulo ({ type: 'module' }) para compartir código con la página
+import { createRepository } from './lib/repository.mjs';
+import { createSyncService } from './lib/sync-service.mjs';
+import { createDataMessageHandlers } from './lib/messages.mjs';
+import { handleRpcMessage } from './lib/rpc.mjs';
+import { STRATEGIES, matchRoute, handleRequest } from './lib/routing.mjs';
+import { installPrecache, cleanupPrecache, matchPrecache, diffPrecache } from './lib/precache.mjs';
+import { RELEASE } from './lib/release.mjs';
+import PRECACHE_MANIFEST, { BUILD } from './precache-manifest.mjs';
+
+const CACHE_PREFIX = 'temperature-converter';
+const PRECACHE_NAME = `${CACHE_PREFIX}-precache`;
+const LOG_PREFIX = '[SW]';
+// Se sirve cuando una página no está en caché y la red falla
+const OFFLINE_PAGE = '/offline.html';
+
+const repository = createRepository({ logPrefix: LOG_PREFIX });
+const syncService = createSyncService({ repository, logPrefix: LOG_PREFIX });
+
+// Los recursos a precachear y su hash los genera scripts/generate-precache-manifest.mjs.
+// Las cachés tienen nombre fijo: ya no hace falta subir la versión a mano.
+
+// Estrategia de caché por tipo de recurso. Se usa la primera ruta que coincida.
+const DAY = 24 * 60 * 60;
+const ROUTES = [
+  {
+    name: 'api',
+    match: /^\/api\//,
+    strategy: STRATEGIES.NETWORK_ONLY,
+    networkTimeoutMs: 10000
+  },
+  {
+    name: 'pages',
+    match: ({ request, url }) => request.mode === 'navigate' || url.pathname.endsWith('.html'),
+    strategy: STRATEGIES.NETWORK_FIRST,
+    networkTimeoutMs: 4000,
+    cacheName: `${CACHE_PREFIX}-pages`,
+    expiration: { maxEntries: 20, maxAgeSeconds: 7 * DAY }
+  },
+  {
+    name: 'scripts',
+    match: /\.(m?js|css|json)$/,
+    strategy: STRATEGIES.STALE_WHILE_REVALIDATE,
+    cacheName: `${CACHE_PREFIX}-scripts`,
+    expiration: { maxEntries: 60, maxAgeSeconds: 30 * DAY }
+  },
+  {
+    name: 'images',
+    match: /\.(png|jpe?g|gif|svg|ico|webp)$/,
+    strategy: STRATEGIES.CACHE_FIRST,
+    cacheName: `${CACHE_PREFIX}-images`,
+    expiration: { maxEntries: 30, maxAgeSeconds: 60 * DAY }
+  },
+  {
+    name: 'default',
+    match: () => true,
+    strategy: STRATEGIES.STALE_WHILE_REVALIDATE,
+    cacheName: `${CACHE_PREFIX}-runtime`,
+    expiration: { maxEntries: 50, maxAgeSeconds: 7 * DAY }
+  }
 ];
-
-// ==========================================
-// FUNCIONES DE INDEXEDDB
-// ==========================================
-function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(SYNC_DB_NAME, SYNC_DB_VERSION);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Store para historial de conversiones
-      if (!db.objectStoreNames.contains(CONVERSIONS_STORE)) {
-        const conversionStore = db.createObjectStore(CONVERSIONS_STORE, { 
-          keyPath: 'id', 
-          autoIncrement: true 
-        });
-        conversionStore.createIndex('timestamp', 'timestamp', { unique: false });
-        conversionStore.createIndex('synced', 'synced', { unique: false });
-      }
-      
-      // Store para preferencias del usuario
-      if (!db.objectStoreNames.contains(PREFERENCES_STORE)) {
-        db.createObjectStore(PREFERENCES_STORE, { keyPath: 'key' });
-      }
-      
-      // Store para cola de sincronización
-      if (!db.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
-        db.createObjectStore(SYNC_QUEUE_STORE, { 
-          keyPath: 'id', 
-          autoIncrement: true 
-        });
-      }
-    };
-  });
-}
+const CACHE_NAMES = [PRECACHE_NAME, ...ROUTES.map(route => route.cacheName).filter(Boolean)];
 
 // ==========================================
 // EVENTO: INSTALACIÓN
@@ -61,18 +69,20 @@ self.addEventListener('install', event => {
   console.log('[SW] Instalando Service Worker...');
   event.waitUntil((async () => {
     try {
-      // Cachear recursos estáticos
-      const cache = await caches.open(CACHE_NAME);
-      await cache.addAll(STATIC_ASSETS);
-      console.log('[SW] Recursos cacheados');
+      // Descargar solo los recursos nuevos o modificados
+      const { added, unchanged } = await installPrecache(PRECACHE_MANIFEST, PRECACHE_NAME);
+      console.log(`[SW] Recursos cacheados: ${added} nuevos, ${unchanged} sin cambios`);
       
       // Inicializar base de datos
-      await openDatabase();
+      await repository.open();
       console.log('[SW] Base de datos inicializada');
       
-      self.skipWaiting();
+      // Si ya hay una versión activa, esta espera en 'waiting' hasta que la
+      // página envíe SKIP_WAITING (ver el aviso de actualización en index.html)
     } catch (error) {
+      // Sin precache completo no se instala: el worker anterior sigue activo
       console.error('[SW] Error en instalación:', error);
+      throw error;
     }
   })());
 });
@@ -83,11 +93,15 @@ self.addEventListener('install', event => {
 self.addEventListener('activate', event => {
   console.log('[SW] Activando Service Worker...');
   event.waitUntil((async () => {
+    // Quitar del precache las revisiones que ya no están en el manifiesto
+    const { deleted } = await cleanupPrecache(PRECACHE_MANIFEST, PRECACHE_NAME);
+    console.log(`[SW] Entradas de precache eliminadas: ${deleted}`);
+    
     // Limpiar cachés antiguos
     const cacheNames = await caches.keys();
     await Promise.all(
       cacheNames
-        .filter(name => name !== CACHE_NAME)
+        .filter(name => !CACHE_NAMES.includes(name))
         .map(name => {
           console.log('[SW] Eliminando caché antiguo:', name);
           return caches.delete(name);
@@ -109,84 +123,26 @@ self.addEventListener('fetch', event => {
   // Ignorar solicitudes a otros dominios
   if (!event.request.url.startsWith(self.location.origin)) return;
 
-  event.respondWith((async () => {
-    const cache = await caches.open(CACHE_NAME);
+  const route = matchRoute(ROUTES, event.request);
 
-    // Buscar en caché
-    const cachedResponse = await cache.match(event.request);
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-
-    // Si no está en caché, intentar red
+  event.respondWith((async () => {
     try {
-      const fetchResponse = await fetch(event.request);
-      
-      // Cachear respuestas exitosas
-      if (fetchResponse && fetchResponse.ok) {
-        cache.put(event.request, fetchResponse.clone());
-      }
-      
-      return fetchResponse;
+      // Lo que está en el manifiesto se sirve siempre desde el precache, con
+      // la revisión de este worker: páginas, scripts y estilos de una misma
+      // versión. Las estrategias de cada ruta son para el resto.
+      const precached = await matchPrecache(PRECACHE_MANIFEST, PRECACHE_NAME, event.request);
+      if (precached) return precached;
+
+      return await handleRequest(route, event.request, event, {
+        matchFallback: request => matchPrecache(PRECACHE_MANIFEST, PRECACHE_NAME, request)
+      });
     } catch (error) {
-      console.error('[SW] Error de red:', error);
+      console.error(`[SW] Error de red (${route.name}):`, error);
       
-      // Página offline personalizada
-      if (event.request.headers.get('accept').includes('text/html')) {
-        return new Response(
-          `<!DOCTYPE html>
-          <html lang="es">
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Sin conexión</title>
-            <style>
-              body {
-                font-family: system-ui, sans-serif;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                min-height: 100vh;
-                margin: 0;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                text-align: center;
-                padding: 20px;
-              }
-              .container {
-                background: rgba(255,255,255,0.1);
-                backdrop-filter: blur(10px);
-                padding: 40px;
-                border-radius: 20px;
-                box-shadow: 0 8px 32px rgba(0,0,0,0.3);
-              }
-              h1 { font-size: 3em; margin: 0 0 20px 0; }
-              button {
-                background: white;
-                color: #667eea;
-                border: none;
-                padding: 15px 30px;
-                font-size: 1.1em;
-                border-radius: 50px;
-                cursor: pointer;
-                margin-top: 20px;
-                font-weight: bold;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <h1>📡 Sin Conexión</h1>
-              <p>No hay conexión a internet</p>
-              <button onclick="window.location.reload()">Reintentar</button>
-            </div>
-          </body>
-          </html>`,
-          {
-            status: 503,
-            headers: new Headers({ 'Content-Type': 'text/html; charset=utf-8' })
-          }
-        );
+      // Página offline precacheada (conversor + historial local)
+      if (event.request.headers.get('accept')?.includes('text/html')) {
+        const offlinePage = await matchPrecache(PRECACHE_MANIFEST, PRECACHE_NAME, new Request(new URL(OFFLINE_PAGE, self.location.origin)));
+        if (offlinePage) return offlinePage;
       }
       
       return new Response('Offline', { status: 503 });
@@ -197,252 +153,52 @@ self.addEventListener('fetch', event => {
 // ==========================================
 // EVENTO: SYNC (Sincronización en segundo plano)
 // ==========================================
+// Si quedan operaciones pendientes la promesa se rechaza y el navegador reintenta.
+// 'sync-conversions' y 'sync-preferences' son etiquetas de versiones anteriores.
+const SYNC_TAGS = ['sync-outbox', 'sync-conversions', 'sync-preferences'];
+
 self.addEventListener('sync', event => {
   console.log('[SW] Evento de sincronización:', event.tag);
   
-  if (event.tag === 'sync-conversions') {
-    event.waitUntil(syncConversionsToServer());
-  }
-  
-  if (event.tag === 'sync-preferences') {
-    event.waitUntil(syncPreferencesToServer());
-  }
-});
-
-// ==========================================
-// EVENTO: MESSAGE (Comunicación con la app)
-// ==========================================
-self.addEventListener('message', async (event) => {
-  const { type, data } = event.data;
-  
-  switch (type) {
-    case 'SAVE_CONVERSION':
-      await saveConversion(data);
-      event.ports[0].postMessage({ success: true });
-      break;
-      
-    case 'SAVE_PREFERENCE':
-      await savePreference(data);
-      event.ports[0].postMessage({ success: true });
-      break;
-      
-    case 'GET_CONVERSIONS':
-      const conversions = await getConversions(data?.limit);
-      event.ports[0].postMessage({ conversions });
-      break;
-      
-    case 'GET_PREFERENCES':
-      const preferences = await getPreferences();
-      event.ports[0].postMessage({ preferences });
-      break;
-      
-    case 'CLEAR_HISTORY':
-      await clearHistory();
-      event.ports[0].postMessage({ success: true });
-      break;
-      
-    case 'FORCE_SYNC':
-      await syncConversionsToServer();
-      await syncPreferencesToServer();
-      event.ports[0].postMessage({ success: true });
-      break;
-      
-    case 'SKIP_WAITING':
-      self.skipWaiting();
-      break;
-      
-    case 'CLEAR_CACHE':
-      const cacheNames = await caches.keys();
-      await Promise.all(cacheNames.map(name => caches.delete(name)));
-      event.ports[0].postMessage({ success: true });
-      break;
+  if (SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(syncService.runSync());
   }
 });
 
-// ==========================================
-// FUNCIONES DE GUARDADO
-// ==========================================
-async function saveConversion(conversionData) {
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([CONVERSIONS_STORE], 'readwrite');
-    const store = transaction.objectStore(CONVERSIONS_STORE);
-    
-    const conversion = {
-      value: conversionData.value,
-      fromUnit: conversionData.fromUnit,
-      toUnit: conversionData.toUnit,
-      result: conversionData.result,
-      timestamp: Date.now(),
-      synced: false
-    };
-    
-    await store.add(conversion);
-    console.log('[SW] Conversión guardada:', conversion);
-    
-    // Registrar sincronización si está disponible
-    if ('sync' in self.registration) {
-      await self.registration.sync.register('sync-conversions');
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('[SW] Error guardando conversión:', error);
-    return false;
-  }
-}
-
-async function savePreference(preferenceData) {
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([PREFERENCES_STORE], 'readwrite');
-    const store = transaction.objectStore(PREFERENCES_STORE);
-    
-    const preference = {
-      key: preferenceData.key,
-      value: preferenceData.value,
-      timestamp: Date.now(),
-      synced: false
-    };
-    
-    await store.put(preference);
-    console.log('[SW] Preferencia guardada:', preference);
-    
-    if ('sync' in self.registration) {
-      await self.registration.sync.register('sync-preferences');
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('[SW] Error guardando preferencia:', error);
-    return false;
+async function requestSync() {
+  if ('sync' in self.registration) {
+    await self.registration.sync.register('sync-outbox');
   }
 }
 
 // ==========================================
-// FUNCIONES DE LECTURA
-// ==========================================
-async function getConversions(limit = 50) {
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([CONVERSIONS_STORE], 'readonly');
-    const store = transaction.objectStore(CONVERSIONS_STORE);
-    const index = store.index('timestamp');
-    
-    return new Promise((resolve, reject) => {
-      const conversions = [];
-      const request = index.openCursor(null, 'prev');
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor && conversions.length < limit) {
-          conversions.push(cursor.value);
-          cursor.continue();
-        } else {
-          resolve(conversions);
-        }
-      };
-      
-      request.onerror = () => reject(request.error);
-    });
-  } catch (error) {
-    console.error('[SW] Error obteniendo conversiones:', error);
-    return [];
-  }
-}
-
-async function getPreferences() {
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([PREFERENCES_STORE], 'readonly');
-    const store = transaction.objectStore(PREFERENCES_STORE);
-    
-    return new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => {
-        const prefs = {};
-        request.result.forEach(item => {
-          prefs[item.key] = item.value;
-        });
-        resolve(prefs);
-      };
-      request.onerror = () => reject(request.error);
-    });
-  } catch (error) {
-    console.error('[SW] Error obteniendo preferencias:', error);
-    return {};
-  }
-}
-
-// ==========================================
-// FUNCIONES DE SINCRONIZACIÓN
+// EVENTO: MESSAGE (Comunicación con la app)
 // ==========================================
-async function syncConversionsToServer() {
-  console.log('[SW] Iniciando sincronización de conversiones...');
+const messageHandlers = {
+  ...createDataMessageHandlers({ repository, syncService, requestSync, logPrefix: LOG_PREFIX }),
   
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([CONVERSIONS_STORE], 'readwrite');
-    const store = transaction.objectStore(CONVERSIONS_STORE);
-    const index = store.index('synced');
-    
-    const unsyncedConversions = await new Promise((resolve, reject) => {
-      const request = index.getAll(false);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-    
-    if (unsyncedConversions.length === 0) {
-      console.log('[SW] No hay conversiones para sincronizar');
-      return;
-    }
-    
-    // AQUÍ IRÍA LA LLAMADA A TU API
-    // await fetch('/api/sync-conversions', { method: 'POST', body: JSON.stringify(unsyncedConversions) });
-    
-    console.log(`[SW] ${unsyncedConversions.length} conversiones listas para sincronizar`);
-    
-    // Marcar como sincronizadas
-    for (const conversion of unsyncedConversions) {
-      conversion.synced = true;
-      await store.put(conversion);
-    }
-    
-    console.log('[SW] Conversiones sincronizadas exitosamente');
-  } catch (error) {
-    console.error('[SW] Error sincronizando conversiones:', error);
-  }
-}
+  // Versión de este worker; el activo y el que espera responden cada uno la suya.
+  // `changed` solo tiene contenido mientras este worker espera (ver diffPrecache)
+  async GET_VERSION() {
+    return {
+      ...RELEASE,
+      build: BUILD,
+      ...await diffPrecache(PRECACHE_MANIFEST, PRECACHE_NAME)
+    };
+  },
 
-async function syncPreferencesToServer() {
-  console.log('[SW] Iniciando sincronización de preferencias...');
+  async SKIP_WAITING() {
+    await self.skipWaiting();
+    return { success: true };
+  },
   
-  try {
-    const preferences = await getPreferences();
-    
-    // AQUÍ IRÍA LA LLAMADA A TU API
-    // await fetch('/api/sync-preferences', { method: 'POST', body: JSON.stringify(preferences) });
-    
-    console.log('[SW] Preferencias listas para sincronizar:', preferences);
-  } catch (error) {
-    console.error('[SW] Error sincronizando preferencias:', error);
+  async CLEAR_CACHE() {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames.map(name => caches.delete(name)));
+    return { success: true };
   }
-}
+};
 
-// ==========================================
-// FUNCIÓN DE LIMPIEZA
-// ==========================================
-async function clearHistory() {
-  try {
-    const db = await openDatabase();
-    const transaction = db.transaction([CONVERSIONS_STORE], 'readwrite');
-    const store = transaction.objectStore(CONVERSIONS_STORE);
-    
-    await store.clear();
-    console.log('[SW] Historial eliminado');
-    return true;
-  } catch (error) {
-    console.error('[SW] Error limpiando historial:', error);
-    return false;
-  }
-}
\ No newline at end of file
+self.addEventListener('message', event => {
+  event.waitUntil(handleRpcMessage(messageHandlers, event, LOG_PREFIX));
+});